@@ -0,0 +1,14 @@
+const { corsHeaders, handleCancelAnalysis } = require('../handlers');
+
+// DELETE /api/analyses/{requestId} - cancel a running analysis. Only reaches analyses running on this instance.
+module.exports = async function (context, req) {
+    const result = req.method === 'OPTIONS'
+        ? { status: 200, body: null }
+        : handleCancelAnalysis(context.bindingData.requestId);
+
+    context.res = {
+        status: result.status,
+        headers: corsHeaders(req.headers),
+        body: result.body
+    };
+};
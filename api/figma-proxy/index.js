@@ -1,4 +1,4 @@
-const { callAzureOpenAI, generateMockAIResponse } = require('../server-utils');
+const { callAzureOpenAI, generateMockAIResponse, getMockFallback, summarizeProvenance } = require('../server-utils');
 
 module.exports = async function (context, req) {
     context.log('Figma Proxy function triggered');
@@ -34,8 +34,8 @@ module.exports = async function (context, req) {
             return;
         }
         
-        // Generate mock response (simpler for now)
-        const mockResponse = generateMockAIResponse(elements);
+        // Generate mock response (simpler for now) - labelled so the UI never shows it as AI output
+        const mockResponse = getMockFallback(elements, undefined, 'figma-proxy only serves mock suggestions');
         
         context.res = {
             status: 200,
@@ -43,13 +43,17 @@ module.exports = async function (context, req) {
             body: {
                 success: true,
                 suggestions: mockResponse.suggestions,
+                metadata: {
+                    mockFallback: true,
+                    provenance: summarizeProvenance(mockResponse.suggestions)
+                },
                 timestamp: new Date().toISOString()
             }
         };
         
     } catch (error) {
         context.res = {
-            status: 500,
+            status: error.fallbackDisabled ? 502 : 500,
             headers: corsHeaders,
             body: { 
                 success: false, 
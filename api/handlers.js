@@ -0,0 +1,542 @@
+// handlers.js - Framework-neutral request handlers shared by the Express server (server.js)
+// and the Azure Functions app (api/*/index.js). Each handler takes the parsed request body
+// plus a logger and resolves to { status, body }, so both deployments return identical results.
+// The streaming analysis handlers instead pass NDJSON events to an `emit` callback (see below).
+
+const {
+  generateMockAIResponse,
+  getAnalysisType,
+  getMockFallback,
+  isMockFallbackEnabled,
+  normalizeIntent,
+  summarizeProvenance,
+  parseColorValueForFigma,
+  parseNumericValueFromAI,
+  TYPOGRAPHY_PROPERTIES,
+  parseTypographyValueForFigma,
+  APPEARANCE_PROPERTIES,
+  parseAppearanceValueForFigma,
+  parseLayoutValueForFigma,
+  parseArrangeValueForFigma,
+  listFoundryThreads,
+  deleteFoundryThread
+} = require('./server-utils');
+const { resolveProviderChain, runProviderChain, listProviders, getFoundryAgentAccess } = require('./providers');
+
+// CORS headers for the Figma plugin iframe (origin "null") - most permissive possible
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key, X-Requested-With, Accept, Origin',
+  'Access-Control-Max-Age': '86400'
+};
+
+// CORS headers for one request: a preflight's requested headers are allowed as asked, so custom-endpoint
+// auth headers and extra headers configured in the plugin pass preflight
+function corsHeaders(requestHeaders) {
+  const requested = requestHeaders && requestHeaders['access-control-request-headers'];
+  return requested
+    ? { ...CORS_HEADERS, 'Access-Control-Allow-Headers': String(requested).substring(0, 2048) }
+    : CORS_HEADERS;
+}
+
+// Client-chosen analysis IDs (the plugin sends "analysis-<time>-<random>") that a cancel request can refer to
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Read elements, analysis type, the designer's free-form request (`intent`) and the optional `requestId`
+// from either { elements, type, intent } or the plugin's { type, intent, data: { elements } }
+function readAnalysisRequest(body) {
+  const { elements: directElements, type, intent, data, requestId } = body || {};
+  return {
+    elements: directElements || data?.elements || [],
+    requestType: getAnalysisType(type),
+    intent: normalizeIntent(intent ?? data?.intent),
+    requestId: typeof requestId === 'string' && REQUEST_ID_PATTERN.test(requestId) ? requestId : null
+  };
+}
+
+// Running analyses by requestId, so DELETE /api/analyses/{requestId} can abort them. Per process, like
+// the circuit breakers: a cancel only reaches analyses running on the same server or Functions instance.
+const activeAnalyses = new Map();
+
+// Abort controller for one analysis, also aborted by the caller's signal (e.g. the client disconnected).
+// release() unregisters it once the analysis is over.
+function trackAnalysis(requestId, signal) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) abort();
+    else signal.addEventListener('abort', abort, { once: true });
+  }
+  if (requestId) activeAnalyses.set(requestId, controller);
+
+  return {
+    signal: controller.signal,
+    release() {
+      if (signal) signal.removeEventListener('abort', abort);
+      if (requestId && activeAnalyses.get(requestId) === controller) activeAnalyses.delete(requestId);
+    }
+  };
+}
+
+// Foundry thread IDs look like "thread_abc123"; anything else is never put into a URL
+const THREAD_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Optional { threadId, message, fileKey, selectionKey }: start or continue an agent conversation.
+// Without a usable threadId a new thread is started.
+function readConversation(body) {
+  const conversation = body?.conversation;
+  if (!conversation || typeof conversation !== 'object') return null;
+
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  return {
+    threadId: THREAD_ID_PATTERN.test(text(conversation.threadId)) ? text(conversation.threadId) : null,
+    message: text(conversation.message).substring(0, 2000),
+    fileKey: text(conversation.fileKey),
+    selectionKey: text(conversation.selectionKey)
+  };
+}
+
+function invalidElementsResponse(elements, body) {
+  return {
+    status: 400,
+    body: {
+      error: 'Invalid request: elements array is required',
+      received: {
+        elementsType: typeof elements,
+        elementsLength: elements?.length,
+        bodyKeys: Object.keys(body || {})
+      }
+    }
+  };
+}
+
+// Ensure every suggestion points at a real element ID and carries Figma-ready values;
+// suggestions whose element is not in the selection are dropped
+function enhanceSuggestions(suggestions, elements) {
+  return suggestions.map(suggestion => enhanceSuggestion(suggestion, elements))
+    .filter(suggestion => suggestion !== null);
+}
+
+function enhanceSuggestion(suggestion, elements) {
+  // Arrange suggestions target a set of elements; elementId names the first so single-element code paths work
+  if (suggestion.type === 'arrange') {
+    const elementIds = (suggestion.elementIds || []).filter(id => elements.some(el => el.id === id));
+    const arrangeValue = parseArrangeValueForFigma(suggestion.property, suggestion.suggestedValue);
+    return {
+      ...suggestion,
+      elementIds,
+      elementId: elementIds[0],
+      suggestedValue: arrangeValue !== null ? arrangeValue : suggestion.suggestedValue
+    };
+  }
+
+  let matchingElement = null;
+
+  // Find matching element using various strategies
+  if (suggestion.elementId && String(suggestion.elementId).includes(':')) {
+    matchingElement = elements.find(el => el.id === suggestion.elementId);
+  }
+
+  if (!matchingElement) {
+    const nameMatch = String(suggestion.elementId || '').match(/"([^"]+)"/);
+    if (nameMatch) {
+      matchingElement = elements.find(el => el.name === nameMatch[1]);
+    }
+  }
+
+  // Never guess: a suggestion moved onto some other selected element would change the wrong layer
+  if (!matchingElement) {
+    console.log(`⚠️ Dropping ${suggestion.type} suggestion for unknown element "${suggestion.elementId}"`);
+    return null;
+  }
+
+  // Process color values
+  if (suggestion.type === 'color') {
+    const colorValue = parseColorValueForFigma(suggestion.suggestedValue);
+    return {
+      ...suggestion,
+      elementId: matchingElement.id,
+      suggestedValue: colorValue || suggestion.suggestedValue
+    };
+  }
+
+  // Process position values ("120px" -> 120)
+  if (suggestion.type === 'position') {
+    const positionValue = parseNumericValueFromAI(suggestion.suggestedValue);
+    return {
+      ...suggestion,
+      elementId: matchingElement.id,
+      suggestedValue: positionValue !== null ? positionValue : suggestion.suggestedValue
+    };
+  }
+
+  // Process size values
+  if (suggestion.type === 'size') {
+    const sizeValue = parseNumericValueFromAI(suggestion.suggestedValue);
+    return {
+      ...suggestion,
+      elementId: matchingElement.id,
+      suggestedValue: sizeValue || suggestion.suggestedValue
+    };
+  }
+
+  // Process typography values ("150%" line height, "Bold" font style, ...)
+  if (suggestion.type === 'text' && TYPOGRAPHY_PROPERTIES.includes(suggestion.property)) {
+    const typographyValue = parseTypographyValueForFigma(suggestion.property, suggestion.suggestedValue);
+    return {
+      ...suggestion,
+      elementId: matchingElement.id,
+      suggestedValue: typographyValue !== null ? typographyValue : suggestion.suggestedValue
+    };
+  }
+
+  // Process stroke, appearance and effect values ("80%" opacity, CSS-like shadows, ...)
+  if (APPEARANCE_PROPERTIES[suggestion.type]) {
+    const appearanceValue = parseAppearanceValueForFigma(suggestion.property, suggestion.suggestedValue);
+    return {
+      ...suggestion,
+      elementId: matchingElement.id,
+      suggestedValue: appearanceValue !== null ? appearanceValue : suggestion.suggestedValue
+    };
+  }
+
+  // Process auto-layout values ("hug", "16 24" padding, ...)
+  if (suggestion.type === 'layout') {
+    const layoutValue = parseLayoutValueForFigma(suggestion.property, suggestion.suggestedValue);
+    return {
+      ...suggestion,
+      elementId: matchingElement.id,
+      suggestedValue: layoutValue !== null ? layoutValue : suggestion.suggestedValue
+    };
+  }
+
+  return {
+    ...suggestion,
+    elementId: matchingElement.id
+  };
+}
+
+// Turn an unexpected failure into a response: an error when mock fallback is off, labelled mock data otherwise
+function analysisErrorResponse(error, attempts) {
+  if (error.fallbackDisabled || !isMockFallbackEnabled()) {
+    return {
+      status: error.fallbackDisabled ? 502 : 500,
+      body: {
+        success: false,
+        error: error.message,
+        suggestions: [],
+        metadata: {
+          attempts: attempts,
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+  }
+
+  const fallbackSuggestions = generateMockAIResponse([]).suggestions || [];
+  return {
+    status: 200,
+    body: {
+      success: true,
+      suggestions: fallbackSuggestions,
+      message: 'Using fallback analysis due to error',
+      source: 'Mock Fallback',
+      metadata: {
+        mockFallback: true,
+        provenance: summarizeProvenance(fallbackSuggestions),
+        attempts: attempts,
+        timestamp: new Date().toISOString()
+      }
+    }
+  };
+}
+
+// 499 is the de facto "client closed request" status; nobody may be listening, but logs and buffered streams see it
+function analysisCancelledResponse(requestId, attempts) {
+  return {
+    status: 499,
+    body: {
+      success: false,
+      cancelled: true,
+      error: 'Analysis cancelled',
+      suggestions: [],
+      metadata: {
+        requestId: requestId,
+        attempts: attempts,
+        timestamp: new Date().toISOString()
+      }
+    }
+  };
+}
+
+function analysisSuccessResponse(suggestions, elements, requestType, details) {
+  return {
+    status: 200,
+    body: {
+      success: true,
+      suggestions: suggestions,
+      source: details.mockFallback ? 'Mock Fallback' : details.source,
+      metadata: {
+        elementsAnalyzed: elements.length,
+        analysisType: requestType,
+        requestId: details.requestId || null,
+        intent: details.intent || null,
+        provider: details.provider,
+        mockFallback: details.mockFallback,
+        provenance: summarizeProvenance(suggestions),
+        validation: details.validation,
+        conversation: details.conversation || null,
+        attempts: details.attempts,
+        timestamp: new Date().toISOString()
+      }
+    }
+  };
+}
+
+// GET /health
+function handleHealth() {
+  return {
+    status: 200,
+    body: {
+      status: 'healthy',
+      message: 'CXS AI Chat Request API is running',
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// Run an analysis through the provider chain: the request's `provider`, else AI_PROVIDER_CHAIN,
+// else AI_PROVIDER or the route default. Conversation requests always go to the Foundry agent, which
+// holds the thread. When every provider fails or is skipped, falls back to labelled mock suggestions
+// if FALLBACK_TO_MOCK allows. metadata.attempts says what was tried and why it failed.
+// options: { emit, signal }. With `emit`, progress and each streamed suggestion are emitted as events
+// while the analysis runs. The analysis stops without mock fallback when `signal` aborts or a cancel
+// request names its requestId.
+async function runAnalysis(body, log, defaultProvider, options = {}) {
+  const { emit, signal } = options;
+  let attempts = [];
+  let tracked = null;
+  try {
+    const { elements, requestType, intent, requestId } = readAnalysisRequest(body);
+
+    if (!elements || !Array.isArray(elements)) {
+      return invalidElementsResponse(elements, body);
+    }
+
+    const conversation = readConversation(body);
+    let chain;
+    try {
+      if (conversation && body.provider && body.provider !== 'azure-foundry') {
+        const conversationError = new Error(`Conversations are only supported by the azure-foundry provider, not "${body.provider}"`);
+        conversationError.status = 400;
+        throw conversationError;
+      }
+      chain = resolveProviderChain(conversation ? 'azure-foundry' : body?.provider, defaultProvider);
+    } catch (providerError) {
+      return {
+        status: providerError.status || 400,
+        body: { success: false, error: providerError.message, suggestions: [] }
+      };
+    }
+
+    log(`Processing ${elements.length} elements for type: ${requestType} with providers: ${chain.join(' → ')}${intent ? ` - request: "${intent}"` : ''}`);
+
+    tracked = trackAnalysis(requestId, signal);
+    const requestOptions = { intent, conversation: conversation || undefined, signal: tracked.signal };
+    if (emit) {
+      let streamedCount = 0;
+      emit({ type: 'progress', stage: 'started', elements: elements.length, providers: chain });
+      requestOptions.onProgress = event => {
+        // The UI drops what a failed provider streamed, so numbering starts over
+        if (event.discardSuggestions) streamedCount = 0;
+        emit({ type: 'progress', ...event });
+      };
+      requestOptions.onSuggestion = suggestion => {
+        const enhanced = enhanceSuggestion(suggestion, elements);
+        if (!enhanced) return;
+        emit({ type: 'suggestion', index: streamedCount, suggestion: enhanced });
+        streamedCount++;
+      };
+    }
+
+    let outcome;
+    try {
+      outcome = await runProviderChain(chain, elements, requestType, log, requestOptions);
+      attempts = outcome.attempts;
+    } catch (chainError) {
+      attempts = chainError.attempts || [];
+      if (chainError.cancelled) {
+        log(`🛑 Analysis${requestId ? ` ${requestId}` : ''} cancelled`);
+        return analysisCancelledResponse(requestId, attempts);
+      }
+      const aiResponse = getMockFallback(elements, requestType, chainError.message);
+      outcome = { provider: null, result: aiResponse, attempts };
+    }
+
+    const provider = outcome.provider;
+    return analysisSuccessResponse(enhanceSuggestions(outcome.result.suggestions, elements), elements, requestType, {
+      source: provider ? provider.label : 'Mock Fallback',
+      provider: provider ? provider.name : null,
+      // Mock data served because something earlier in the chain did not deliver
+      mockFallback: !provider || (provider.name === 'mock' && attempts.length > 1),
+      validation: outcome.result.validation || null,
+      requestId: requestId,
+      intent: intent,
+      conversation: outcome.result.conversation,
+      attempts
+    });
+  } catch (error) {
+    log(`❌ Analysis error: ${error.message}`);
+    return analysisErrorResponse(error, attempts);
+  } finally {
+    if (tracked) tracked.release();
+  }
+}
+
+// POST /api/analyze and /api/analyze-anonymous - Azure OpenAI unless the request or server config picks others.
+// `signal` (optional) aborts the analysis, e.g. when the client disconnects.
+function handleAnalyze(body, log = console.log, signal) {
+  return runAnalysis(body, log, 'azure-openai', { signal });
+}
+
+// POST /api/analyze-foundry - Azure AI Foundry agent unless the request or server config picks others
+function handleAnalyzeFoundry(body, log = console.log, signal) {
+  return runAnalysis(body, log, 'azure-foundry', { signal });
+}
+
+// DELETE /api/analyses/{requestId} - abort a running analysis: its model calls stop and a Foundry agent
+// run is cancelled. 404 when it already finished or runs on another instance.
+function handleCancelAnalysis(requestId) {
+  if (!REQUEST_ID_PATTERN.test(requestId || '')) {
+    return { status: 400, body: { success: false, error: 'Invalid request ID' } };
+  }
+
+  const controller = activeAnalyses.get(requestId);
+  if (!controller) {
+    return { status: 404, body: { success: false, requestId: requestId, error: 'No running analysis with this ID' } };
+  }
+
+  controller.abort();
+  return { status: 200, body: { success: true, requestId: requestId, cancelled: true } };
+}
+
+// Streaming variants of the analyze endpoints, for clients that send "Accept: application/x-ndjson".
+// `emit` receives, in order:
+//   { type: 'progress', stage: 'started', elements, providers }
+//   { type: 'progress', stage: 'provider' | 'provider-failed' | 'agent-run', provider, ... }
+//   { type: 'suggestion', index, suggestion } - as soon as a streaming model produces a valid one
+//   { type: 'result', status, body } - always last; body is what the plain endpoint would have returned
+// If the server fails mid-stream it ends with { type: 'error', error } instead of a result.
+const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+
+function wantsAnalysisStream(headers) {
+  const accept = headers && (headers.accept || headers.Accept);
+  return typeof accept === 'string' && accept.includes(NDJSON_CONTENT_TYPE);
+}
+
+async function streamAnalysis(body, log, defaultProvider, emit, signal) {
+  const result = await runAnalysis(body, log, defaultProvider, { emit, signal });
+  emit({ type: 'result', status: result.status, body: result.body });
+}
+
+function handleAnalyzeStream(body, log = console.log, emit, signal) {
+  return streamAnalysis(body, log, 'azure-openai', emit, signal);
+}
+
+function handleAnalyzeFoundryStream(body, log = console.log, emit, signal) {
+  return streamAnalysis(body, log, 'azure-foundry', emit, signal);
+}
+
+// Azure Functions (classic programming model) cannot stream a response, so there the same events
+// arrive together in one NDJSON body once the analysis is done. Functions does not tell the handler when
+// the client goes away, so there only DELETE /api/analyses/{requestId} cancels; `signal` is passed on for hosts that can.
+async function bufferAnalysisStream(streamHandler, body, log, signal) {
+  const lines = [];
+  await streamHandler(body, log, event => lines.push(JSON.stringify(event)), signal);
+  return { status: 200, contentType: NDJSON_CONTENT_TYPE, body: lines.join('\n') + '\n' };
+}
+
+// GET /api/providers - which adapters exist and which ones this server can use
+function handleListProviders() {
+  return {
+    status: 200,
+    body: {
+      providers: listProviders(),
+      defaultProvider: process.env.AI_PROVIDER || null
+    }
+  };
+}
+
+function threadsUnavailableResponse() {
+  return {
+    status: 503,
+    body: {
+      success: false,
+      error: 'Conversation threads need the Foundry agent REST API - configure a service principal or AZURE_USE_MANAGED_IDENTITY'
+    }
+  };
+}
+
+// Thread listing and deletion are scoped to one Figma file: the caller has to name the file the thread belongs to
+function normalizeThreadFileKey(fileKey) {
+  return typeof fileKey === 'string' && fileKey.trim() ? fileKey.substring(0, 512) : null;
+}
+
+function missingFileKeyResponse() {
+  return { status: 400, body: { success: false, error: 'fileKey is required' } };
+}
+
+// GET /api/threads?fileKey=... - conversation threads the plugin created for that file, newest first
+async function handleListThreads(query = {}) {
+  const fileKey = normalizeThreadFileKey(query.fileKey);
+  if (!fileKey) return missingFileKeyResponse();
+
+  try {
+    const access = await getFoundryAgentAccess();
+    if (!access) return threadsUnavailableResponse();
+
+    const threads = await listFoundryThreads(access.projectEndpoint, access.accessToken, fileKey);
+    return { status: 200, body: { success: true, threads: threads } };
+  } catch (error) {
+    return { status: error.status || 502, body: { success: false, error: error.message } };
+  }
+}
+
+// DELETE /api/threads/{threadId}?fileKey=... - end a conversation; only threads the plugin created for that file can be deleted
+async function handleDeleteThread(threadId, query = {}) {
+  if (!THREAD_ID_PATTERN.test(threadId || '')) {
+    return { status: 400, body: { success: false, error: 'Invalid thread ID' } };
+  }
+  const fileKey = normalizeThreadFileKey(query.fileKey);
+  if (!fileKey) return missingFileKeyResponse();
+
+  try {
+    const access = await getFoundryAgentAccess();
+    if (!access) return threadsUnavailableResponse();
+
+    const deleted = await deleteFoundryThread(access.projectEndpoint, access.accessToken, threadId, fileKey);
+    return deleted
+      ? { status: 200, body: { success: true, threadId: threadId } }
+      : { status: 404, body: { success: false, threadId: threadId, error: 'Thread not found' } };
+  } catch (error) {
+    return { status: error.status || 502, body: { success: false, threadId: threadId, error: error.message } };
+  }
+}
+
+module.exports = {
+  CORS_HEADERS,
+  corsHeaders,
+  handleHealth,
+  handleAnalyze,
+  handleAnalyzeFoundry,
+  NDJSON_CONTENT_TYPE,
+  wantsAnalysisStream,
+  handleAnalyzeStream,
+  handleAnalyzeFoundryStream,
+  bufferAnalysisStream,
+  handleCancelAnalysis,
+  handleListProviders,
+  handleListThreads,
+  handleDeleteThread
+};
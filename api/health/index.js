@@ -1,16 +1,15 @@
+const { handleHealth } = require('../handlers');
+
 module.exports = async function (context, req) {
     context.log('Health check triggered');
     
+    const result = handleHealth();
     context.res = {
-        status: 200,
+        status: result.status,
         headers: {
             'Content-Type': 'application/json',
             'Access-Control-Allow-Origin': '*'
         },
-        body: { 
-            status: 'healthy',
-            message: 'CXS AI Chat Request API is running',
-            timestamp: new Date().toISOString()
-        }
+        body: result.body
     };
-};
\ No newline at end of file
+};
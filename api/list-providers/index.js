@@ -0,0 +1,11 @@
+const { corsHeaders, handleListProviders } = require('../handlers');
+
+// GET /api/providers - registered AI providers and whether this deployment has them configured
+module.exports = async function (context, req) {
+    const result = req.method === 'OPTIONS' ? { status: 200, body: null } : handleListProviders();
+    context.res = {
+        status: result.status,
+        headers: corsHeaders(req.headers),
+        body: result.body
+    };
+};
@@ -0,0 +1,502 @@
+// providers.js - Registry of AI provider adapters used by handlers.js.
+// Every adapter has the same interface:
+//   name          - id used in requests (`provider`) and server config (AI_PROVIDER)
+//   label         - human-readable source reported in responses
+//   timeoutMs     - default time budget for one analyze() call (AI_PROVIDER_TIMEOUTS overrides)
+//   isConfigured() - true when the server has the settings the adapter needs
+//   analyze(elements, analysisType, log, requestOptions) - resolves to { suggestions, validation }
+//                   with validated, provenance-tagged suggestions, or throws. requestOptions.stats
+//                   must be passed on to model calls so retries show up in the response metadata;
+//                   requestOptions.deadlineAt is when the chain gives up on the adapter, and
+//                   requestOptions.intent is the designer's free-form request for the prompt. Adapters that
+//                   support conversations (requestOptions.conversation) add { conversation } to the result.
+//                   When streaming, requestOptions.onSuggestion takes each valid suggestion as soon as the
+//                   model produces it and requestOptions.onProgress takes { stage, ... } progress events;
+//                   adapters that cannot stream simply return everything at the end. requestOptions.signal
+//                   aborts when the user cancels or the attempt times out; adapters pass it on so model calls and agent runs stop
+// runProviderChain() tries adapters in order behind per-provider timeouts and circuit breakers.
+// Mock fallback after the whole chain fails is decided by the caller, not by the adapters.
+
+const {
+  buildAnalysisMessages,
+  callAzureOpenAIChat,
+  callOpenAICompatibleChat,
+  callAzureAIFoundryAgent,
+  callAzureAIFoundryViaOpenAI,
+  extractAgentReplyText,
+  getAzureAccessToken,
+  getManagedIdentityToken,
+  generateMockAIResponse,
+  parseValidatedSuggestions,
+  createAzureOpenAIRepair,
+  createOpenAICompatibleRepair,
+  parseFoundryAgentResponse,
+  streamValidatedSuggestions,
+  createCancelledError,
+  getAllowedProviders,
+  getRetrySettings
+} = require('./server-utils');
+
+const providers = new Map();
+
+function registerProvider(adapter) {
+  providers.set(adapter.name, adapter);
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+// Names, configuration and circuit state of every registered provider
+function listProviders() {
+  return Array.from(providers.values()).map(adapter => ({
+    name: adapter.name,
+    label: adapter.label,
+    configured: adapter.isConfigured(),
+    timeoutMs: getProviderTimeout(adapter),
+    circuit: describeCircuit(adapter.name)
+  }));
+}
+
+// Pick the adapter for a request: the requested provider, else AI_PROVIDER, else the route default.
+// Unknown or disallowed providers throw with `status` set so handlers can answer 400/403.
+function resolveProvider(requestedName, defaultName) {
+  const name = requestedName || process.env.AI_PROVIDER || defaultName;
+  const adapter = getProvider(name);
+
+  if (!adapter) {
+    const error = new Error(`Unknown AI provider "${name}" (available: ${Array.from(providers.keys()).join(', ')})`);
+    error.status = 400;
+    throw error;
+  }
+
+  const allowed = getAllowedProviders();
+  if (allowed && !allowed.includes(name)) {
+    const error = new Error(`AI provider "${name}" is disabled on this server (allowed: ${allowed.join(', ')})`);
+    error.status = 403;
+    throw error;
+  }
+
+  return adapter;
+}
+
+// Provider names to try in order: an explicitly requested provider on its own, otherwise
+// AI_PROVIDER_CHAIN (e.g. "azure-foundry,azure-openai,openai-compatible,mock"), else AI_PROVIDER or the route default
+function resolveProviderChain(requestedName, defaultName) {
+  if (requestedName) {
+    return [resolveProvider(requestedName, defaultName).name];
+  }
+
+  const chain = (process.env.AI_PROVIDER_CHAIN || '').split(',').map(name => name.trim()).filter(Boolean);
+  return chain.length > 0 ? chain : [process.env.AI_PROVIDER || defaultName];
+}
+
+// AI_PROVIDER_TIMEOUTS="azure-foundry=90000,openai-compatible=180000" overrides adapter defaults
+function getProviderTimeout(adapter) {
+  const overrides = (process.env.AI_PROVIDER_TIMEOUTS || '').split(',');
+  for (const entry of overrides) {
+    const [name, value] = entry.split('=').map(part => (part || '').trim());
+    if (name === adapter.name && Number(value) > 0) {
+      return Number(value);
+    }
+  }
+  return adapter.timeoutMs || 60000;
+}
+
+// Settle with the adapter call, or reject once it runs out of time or the signal aborts -
+// whichever comes first, so a cancelled analysis answers even while a call is still winding down.
+// On timeout the attempt's controller is aborted, which stops the adapter's retries and agent polling.
+function withTimeout(promise, timeoutMs, label, signal, attemptController) {
+  let timer;
+  let onAbort;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      // Reject first so the race reports the timeout, not the adapter's own abort error
+      reject(error);
+      if (attemptController) attemptController.abort();
+    }, timeoutMs);
+    if (signal) {
+      onAbort = () => reject(createCancelledError());
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+  return Promise.race([promise, timeout]).finally(() => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  });
+}
+
+// Circuit breaker per provider: after CIRCUIT_BREAKER_THRESHOLD consecutive failures the provider is
+// skipped for CIRCUIT_BREAKER_COOLDOWN_MS, then a single trial call decides whether it closes again.
+// State is per process (one Express server or one Functions instance).
+const circuits = new Map();
+
+function getCircuitSettings() {
+  return {
+    threshold: Number(process.env.CIRCUIT_BREAKER_THRESHOLD) || 3,
+    cooldownMs: Number(process.env.CIRCUIT_BREAKER_COOLDOWN_MS) || 60000
+  };
+}
+
+function getCircuit(name) {
+  if (!circuits.has(name)) {
+    circuits.set(name, { failures: 0, openedAt: null, trialInFlight: false, lastError: null });
+  }
+  return circuits.get(name);
+}
+
+// Whether a call may go through now; claims the half-open trial slot when the cooldown has passed
+function acquireCircuit(name, now = Date.now()) {
+  const circuit = getCircuit(name);
+  if (circuit.openedAt === null) return true;
+
+  const { cooldownMs } = getCircuitSettings();
+  if (now - circuit.openedAt < cooldownMs || circuit.trialInFlight) return false;
+
+  circuit.trialInFlight = true;
+  return true;
+}
+
+function recordCircuitSuccess(name) {
+  circuits.set(name, { failures: 0, openedAt: null, trialInFlight: false, lastError: null });
+}
+
+// A cancelled call says nothing about the provider's health; just free the half-open trial slot
+function releaseCircuit(name) {
+  getCircuit(name).trialInFlight = false;
+}
+
+function recordCircuitFailure(name, error, now = Date.now()) {
+  const circuit = getCircuit(name);
+  circuit.failures++;
+  circuit.trialInFlight = false;
+  circuit.lastError = error.message;
+  if (circuit.failures >= getCircuitSettings().threshold) {
+    circuit.openedAt = now;
+  }
+}
+
+function describeCircuit(name, now = Date.now()) {
+  const circuit = getCircuit(name);
+  if (circuit.openedAt === null) {
+    return { state: 'closed', failures: circuit.failures };
+  }
+  const reopensAt = circuit.openedAt + getCircuitSettings().cooldownMs;
+  return {
+    state: now < reopensAt ? 'open' : 'half-open',
+    failures: circuit.failures,
+    reopensAt: new Date(reopensAt).toISOString(),
+    lastError: circuit.lastError
+  };
+}
+
+// Try each provider in order until one returns suggestions. Resolves to
+// { provider, result, attempts } where attempts records every provider tried or skipped and why,
+// plus any provider-specific `details` (e.g. the Foundry run report) from the result or error.
+// When all of them fail, throws an error carrying the same `attempts`.
+// requestOptions.onProgress hears { stage: 'provider' } before each call and { stage: 'provider-failed' }
+// after each failure - with discardSuggestions when that provider had already streamed some.
+// Streaming callbacks are cut off once a provider's attempt is over, even if its call keeps running.
+// When requestOptions.signal aborts, the chain stops right away and throws an error marked `cancelled`
+// (with `attempts`); the cancelled attempt neither counts against the provider nor falls through to the next.
+async function runProviderChain(names, elements, analysisType, log = console.log, requestOptions = {}) {
+  const attempts = [];
+  const allowed = getAllowedProviders();
+  const signal = requestOptions.signal;
+
+  for (const name of names) {
+    if (signal && signal.aborted) break;
+    const adapter = getProvider(name);
+    if (!adapter) {
+      attempts.push({ provider: name, outcome: 'skipped', reason: 'unknown provider' });
+      continue;
+    }
+    if (allowed && !allowed.includes(name)) {
+      attempts.push({ provider: name, outcome: 'skipped', reason: 'not allowed on this server' });
+      continue;
+    }
+    if (!adapter.isConfigured()) {
+      attempts.push({ provider: name, outcome: 'skipped', reason: 'not configured' });
+      continue;
+    }
+    if (!acquireCircuit(name)) {
+      const circuit = describeCircuit(name);
+      const reason = circuit.state === 'open'
+        ? `circuit open until ${circuit.reopensAt} (last error: ${circuit.lastError})`
+        : 'circuit half-open, trial call already in progress';
+      attempts.push({ provider: name, outcome: 'skipped', reason });
+      continue;
+    }
+
+    const timeoutMs = getProviderTimeout(adapter);
+    const startedAt = Date.now();
+    const stats = { requests: 0, retries: 0 }; // HTTP calls made by this provider, including retries
+    const onProgress = requestOptions.onProgress || (() => {});
+    let active = true;
+    let streamed = 0;
+    // Aborted when the caller cancels or this attempt times out, so a call left behind stops spending quota
+    const attemptController = new AbortController();
+    const abortAttempt = () => attemptController.abort();
+    if (signal) signal.addEventListener('abort', abortAttempt, { once: true });
+    const attemptOptions = { ...requestOptions, stats, deadlineAt: startedAt + timeoutMs, signal: attemptController.signal };
+    if (requestOptions.onSuggestion) {
+      attemptOptions.onSuggestion = suggestion => {
+        if (!active) return;
+        streamed++;
+        requestOptions.onSuggestion(suggestion);
+      };
+    }
+    if (requestOptions.onProgress) {
+      attemptOptions.onProgress = event => {
+        if (active) requestOptions.onProgress({ provider: name, ...event });
+      };
+    }
+
+    try {
+      log(`🔗 Trying ${adapter.label} (timeout ${timeoutMs}ms)...`);
+      onProgress({ stage: 'provider', provider: name, label: adapter.label });
+      const result = await withTimeout(adapter.analyze(elements, analysisType, log, attemptOptions), timeoutMs, adapter.label, signal, attemptController);
+      active = false;
+      recordCircuitSuccess(name);
+      attempts.push({
+        provider: name,
+        outcome: 'success',
+        durationMs: Date.now() - startedAt,
+        requests: stats.requests,
+        retries: stats.retries,
+        details: result.details
+      });
+      return { provider: adapter, result, attempts };
+    } catch (error) {
+      active = false;
+      if (signal && signal.aborted) {
+        releaseCircuit(name);
+        attempts.push({
+          provider: name,
+          outcome: 'cancelled',
+          durationMs: Date.now() - startedAt,
+          requests: stats.requests,
+          retries: stats.retries,
+          details: error.details
+        });
+        log(`🛑 ${adapter.label} cancelled`);
+        break;
+      }
+      recordCircuitFailure(name, error);
+      attempts.push({
+        provider: name,
+        outcome: error.timedOut ? 'timeout' : 'failed',
+        reason: error.message,
+        retryable: error.retryable,
+        durationMs: Date.now() - startedAt,
+        requests: stats.requests,
+        retries: stats.retries,
+        details: error.details
+      });
+      log(`❌ ${adapter.label} failed: ${error.message}`);
+      onProgress({ stage: 'provider-failed', provider: name, reason: error.message, discardSuggestions: streamed > 0 });
+    } finally {
+      if (signal) signal.removeEventListener('abort', abortAttempt);
+    }
+  }
+
+  if (signal && signal.aborted) {
+    const cancelledError = createCancelledError();
+    cancelledError.attempts = attempts;
+    throw cancelledError;
+  }
+
+  const error = new Error(`No provider succeeded: ${attempts.map(attempt => `${attempt.provider} ${attempt.outcome}${attempt.reason ? ` (${attempt.reason})` : ''}`).join('; ')}`);
+  error.attempts = attempts;
+  throw error;
+}
+
+// Chat options for an adapter call: when the caller streams, the reply is streamed too and every
+// suggestion that validates on its own goes to requestOptions.onSuggestion before the reply is complete
+function withSuggestionStream(requestOptions, elements, analysisType) {
+  if (!requestOptions.onSuggestion) return requestOptions;
+  return { ...requestOptions, onDelta: streamValidatedSuggestions(elements, analysisType, requestOptions.onSuggestion) };
+}
+
+// Validate a chat model reply and fail when nothing usable survives
+async function validateModelReply(rawResponse, elements, analysisType, repair, label) {
+  const validated = await parseValidatedSuggestions(rawResponse, elements, analysisType, repair);
+
+  if (validated.suggestions.length === 0 && !validated.diagnostics.valid) {
+    throw new Error(`${label} response failed validation: ${validated.diagnostics.errors.slice(0, 3).join('; ')}`);
+  }
+
+  return { suggestions: validated.suggestions, validation: validated.diagnostics };
+}
+
+// Azure OpenAI deployment, gated by USE_REAL_AI
+registerProvider({
+  name: 'azure-openai',
+  label: 'Azure OpenAI',
+  // The chat call and one repair pass, each retried until MODEL_RETRY_DEADLINE_MS, plus a little slack,
+  // so the provider timeout never cuts off a repair the retry settings still allow
+  get timeoutMs() {
+    return 2 * getRetrySettings().deadlineMs + 5000;
+  },
+  isConfigured() {
+    return process.env.USE_REAL_AI === 'true' &&
+      Boolean(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_DEPLOYMENT_NAME);
+  },
+  async analyze(elements, analysisType, log, requestOptions = {}) {
+    const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+    const apiKey = process.env.AZURE_OPENAI_API_KEY;
+    const deployment = process.env.AZURE_OPENAI_DEPLOYMENT_NAME;
+
+    log('Attempting Azure OpenAI request...');
+    const rawResponse = await callAzureOpenAIChat(buildAnalysisMessages(elements, analysisType, requestOptions.intent), endpoint, apiKey, deployment,
+      withSuggestionStream(requestOptions, elements, analysisType));
+
+    // Validate against the suggestion schema, giving the model one chance to repair its reply
+    const result = await validateModelReply(rawResponse, elements, analysisType,
+      createAzureOpenAIRepair(endpoint, apiKey, deployment, requestOptions), 'Azure OpenAI');
+    log(`Azure OpenAI response validated (${result.suggestions.length} suggestions, ${result.validation.errors.length} rejected)`);
+    return result;
+  }
+});
+
+// Azure OpenAI deployment settings, used for agent-style prompts and for repairing agent replies
+function hasAzureOpenAIConfig() {
+  return Boolean(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY && process.env.AZURE_OPENAI_DEPLOYMENT_NAME);
+}
+
+// Project endpoint, agent and a cached access token for the Foundry agent REST API, or null when the
+// server has neither a service principal nor managed identity configured for it
+async function getFoundryAgentAccess() {
+  const projectEndpoint = process.env.AZURE_AI_PROJECT_ENDPOINT;
+  const agentId = process.env.AZURE_AI_AGENT_ID;
+  const tenantId = process.env.AZURE_TENANT_ID;
+  const clientId = process.env.AZURE_CLIENT_ID;
+  const clientSecret = process.env.AZURE_CLIENT_SECRET;
+  const useManagedIdentity = process.env.AZURE_USE_MANAGED_IDENTITY === 'true';
+
+  if (!projectEndpoint || !agentId || !((tenantId && clientId && clientSecret) || useManagedIdentity)) {
+    return null;
+  }
+
+  const accessToken = (tenantId && clientId && clientSecret)
+    ? await getAzureAccessToken(tenantId, clientId, clientSecret)
+    : await getManagedIdentityToken(undefined, process.env.AZURE_MANAGED_IDENTITY_CLIENT_ID);
+  return { projectEndpoint, agentId, accessToken };
+}
+
+// Azure AI Foundry agent over REST (service principal or managed identity), or agent-style prompts
+// on Azure OpenAI when neither identity is configured. Conversations need the REST agent, since
+// only agent threads keep the earlier turns.
+registerProvider({
+  name: 'azure-foundry',
+  label: 'Azure AI Foundry Agent',
+  timeoutMs: 150000, // token, thread setup, run polling (FOUNDRY_RUN_DEADLINE_MS, cancelled before this) and one repair pass
+  isConfigured() {
+    const hasAgent = Boolean(process.env.AZURE_AI_PROJECT_ENDPOINT && process.env.AZURE_AI_AGENT_ID);
+    const hasServicePrincipal = Boolean(process.env.AZURE_TENANT_ID && process.env.AZURE_CLIENT_ID && process.env.AZURE_CLIENT_SECRET);
+    const hasManagedIdentity = process.env.AZURE_USE_MANAGED_IDENTITY === 'true';
+    return hasAgent && (hasServicePrincipal || hasManagedIdentity || hasAzureOpenAIConfig());
+  },
+  async analyze(elements, analysisType, log, requestOptions = {}) {
+    let rawResponse;
+
+    // Approach 1: Direct REST API to Azure AI Foundry (if we have auth); tokens are cached across requests
+    const access = await getFoundryAgentAccess();
+    if (access) {
+      log('✅ Access token obtained, calling Foundry agent...');
+      rawResponse = await callAzureAIFoundryAgent(elements, access.projectEndpoint, access.agentId, access.accessToken, analysisType, requestOptions);
+      log(`✅ Azure AI Foundry run ${rawResponse.run.status} (${rawResponse.run.usage ? rawResponse.run.usage.totalTokens : 'unknown'} tokens)`);
+    } else if (requestOptions.conversation) {
+      throw new Error('Conversations need the Foundry agent REST API - configure a service principal or AZURE_USE_MANAGED_IDENTITY');
+    } else {
+      // Approach 2: Azure OpenAI with agent-style prompting
+      log('🔄 No Foundry credentials, using Azure OpenAI with agent-style prompts...');
+      rawResponse = await callAzureAIFoundryViaOpenAI(elements,
+        process.env.AZURE_OPENAI_ENDPOINT,
+        process.env.AZURE_OPENAI_API_KEY,
+        process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
+        analysisType,
+        requestOptions);
+      log('✅ Azure OpenAI agent-style call successful');
+    }
+
+    // Pull the JSON suggestions out of the agent reply and validate them. With Azure OpenAI configured,
+    // a reply that fails validation gets one repair pass like the chat providers, within what is left
+    // of this provider's time budget.
+    const repair = hasAzureOpenAIConfig()
+      ? createAzureOpenAIRepair(process.env.AZURE_OPENAI_ENDPOINT, process.env.AZURE_OPENAI_API_KEY,
+        process.env.AZURE_OPENAI_DEPLOYMENT_NAME, {
+          ...requestOptions,
+          deadlineMs: requestOptions.deadlineAt ? Math.max(1000, requestOptions.deadlineAt - Date.now() - 1000) : undefined
+        })
+      : undefined;
+    let parsed;
+    try {
+      parsed = await parseFoundryAgentResponse(rawResponse, elements, analysisType, repair);
+    } catch (parseError) {
+      parseError.details = rawResponse.run;
+      throw parseError;
+    }
+
+    return {
+      suggestions: parsed.suggestions,
+      validation: parsed.validation,
+      details: rawResponse.run,
+      conversation: requestOptions.conversation ? {
+        threadId: rawResponse.threadId,
+        restarted: rawResponse.restarted,
+        reply: extractAgentReplyText(parsed.originalMessage)
+      } : undefined
+    };
+  }
+});
+
+// Any OpenAI-compatible /v1/chat/completions server, e.g. a local llama.cpp or Ollama instance
+// for files that must not leave the network
+registerProvider({
+  name: 'openai-compatible',
+  label: 'OpenAI-compatible endpoint',
+  timeoutMs: 180000, // local models can be slow
+  isConfigured() {
+    return Boolean(process.env.OPENAI_COMPATIBLE_BASE_URL && process.env.OPENAI_COMPATIBLE_MODEL);
+  },
+  async analyze(elements, analysisType, log, requestOptions = {}) {
+    const baseUrl = process.env.OPENAI_COMPATIBLE_BASE_URL;
+    const apiKey = process.env.OPENAI_COMPATIBLE_API_KEY;
+    const model = process.env.OPENAI_COMPATIBLE_MODEL;
+
+    log(`Attempting OpenAI-compatible request (${model})...`);
+    const rawResponse = await callOpenAICompatibleChat(buildAnalysisMessages(elements, analysisType, requestOptions.intent), baseUrl, apiKey, model,
+      withSuggestionStream(requestOptions, elements, analysisType));
+
+    const result = await validateModelReply(rawResponse, elements, analysisType,
+      createOpenAICompatibleRepair(baseUrl, apiKey, model, requestOptions), 'OpenAI-compatible');
+    log(`OpenAI-compatible response validated (${result.suggestions.length} suggestions, ${result.validation.errors.length} rejected)`);
+    return result;
+  }
+});
+
+// Canned suggestions; always available and always tagged as mock
+registerProvider({
+  name: 'mock',
+  label: 'Mock',
+  timeoutMs: 5000,
+  isConfigured() {
+    return true;
+  },
+  async analyze(elements, analysisType) {
+    return { suggestions: generateMockAIResponse(elements, analysisType).suggestions, validation: null };
+  }
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  resolveProvider,
+  resolveProviderChain,
+  runProviderChain,
+  getFoundryAgentAccess // Endpoint and token for the conversation thread endpoints
+};
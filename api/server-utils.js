@@ -2,72 +2,460 @@
 
 const axios = require('axios');
 
-// Azure OpenAI API Call
-async function callAzureOpenAI(elementsData, endpoint, apiKey, deployment) {
-  const prompt = `Analyze the following Figma design elements and suggest improvements. Focus on color, size, typography, and alignment. Provide specific, actionable suggestions.
+// Operations an "arrange" suggestion applies to a set of elements, like Figma's align and distribute buttons
+const ARRANGE_OPERATIONS = [
+  'align-left', 'align-center', 'align-right', 'align-top', 'align-middle', 'align-bottom',
+  'distribute-horizontal', 'distribute-vertical', 'match-width', 'match-height', 'equalize-gap'
+];
+const ARRANGE_RULE = 'When elements should relate to each other (line up, share a width or height, be spaced evenly), use ONE "arrange" suggestion listing every element in "elementIds" (2 or more exact IDs, no "elementId") instead of separate position or size suggestions';
 
-Elements:
-${elementsData.map(el => `- ID: ${el.id} | ${el.type} "${el.name}" (${el.width}x${el.height}, ${el.fill || el.color || 'no color'})`).join('\n')}
+// Prompt templates for each analysis type the plugin offers. Each one sets what
+// the model should focus on and which suggestion types/properties it may return.
+const ANALYSIS_TYPES = {
+  'design-analysis': {
+    focus: 'Focus on color, size, typography, strokes, corners, shadows and alignment. Provide specific, actionable suggestions.',
+    rules: [
+      'Only suggest color changes that are visually different (avoid same RGB values)',
+      'For size changes, suggest meaningful improvements (10-30% changes); never resize a side that fills its parent, and expect elements that keep their aspect ratio to scale on both sides',
+      'For text, improve readability and keep a consistent type scale: fontSize in px, fontName as {"family": "Inter", "style": "Semi Bold"} for weight changes (family may be left out to keep it), lineHeight and letterSpacing as px or percent ("24px", "150%", lineHeight also "auto"), textCase UPPER|LOWER|TITLE|ORIGINAL, textDecoration NONE|UNDERLINE|STRIKETHROUGH',
+      'Use the text "content" property only to fix wording or capitalization',
+      'For strokes and appearance, give strokeColor as hex, strokeWeight and cornerRadius in px, opacity from 0 to 1 and blendMode as a Figma blend mode like MULTIPLY',
+      'For effects, give dropShadow as "x y blur spread color" like "0 4px 12px 0 rgba(0, 0, 0, 0.15)" (or "none" to remove it) and layerBlur/backgroundBlur as a radius in px (0 removes it)',
+      'For alignment, be specific about horizontal/vertical positioning',
+      ARRANGE_RULE
+    ],
+    suggestionTypes: ['color', 'size', 'text', 'stroke', 'appearance', 'effect', 'arrange', 'general'],
+    properties: ['fill', 'width', 'height', 'content', 'fontSize', 'fontName', 'lineHeight', 'letterSpacing', 'textCase', 'textDecoration', 'strokeColor', 'strokeWeight', 'cornerRadius', 'opacity', 'blendMode', 'dropShadow', 'layerBlur', 'backgroundBlur', 'alignment']
+  },
+  'color-suggestion': {
+    focus: 'Focus only on color. Build a small, cohesive palette across the elements and fix foreground/background pairs that fail WCAG AA contrast (4.5:1 for body text, 3:1 for large text and UI shapes).',
+    rules: [
+      'Elements with the same role (buttons, cards, headings) should share one palette color',
+      'Fix every text/background pair below WCAG AA contrast and state the new contrast ratio in the reasoning',
+      'Only suggest colors that are visually different from the current one',
+      'Give every suggested color as a hex code like "#1A73E8"'
+    ],
+    suggestionTypes: ['color'],
+    properties: ['fill']
+  },
+  'layout-optimization': {
+    focus: 'Focus only on layout. Make spacing between elements consistent and align elements to shared edges or centers.',
+    rules: [
+      'Use a consistent spacing scale (multiples of 4px or 8px) between sibling elements',
+      'Line siblings up on a shared left edge, top edge or center',
+      'Give x/y positions as absolute pixel numbers',
+      'Do not suggest width or height for a side that fills its auto-layout parent - change the parent or its padding instead',
+      'Use "alignment" with values like "center", "left" or "right" for text and auto-layout alignment',
+      'For auto-layout frames, prefer "layout" suggestions over moving children: itemSpacing and paddingTop/Right/Bottom/Left in px ("padding" takes CSS shorthand like "16 24"), primaryAxisAlignItems MIN|CENTER|MAX|SPACE_BETWEEN, counterAxisAlignItems MIN|CENTER|MAX|BASELINE, primaryAxisSizingMode/counterAxisSizingMode HUG|FIXED',
+      'To turn a frame with "no auto-layout" into an auto-layout frame, suggest layoutMode HORIZONTAL or VERTICAL; other layout properties only work once a frame has auto-layout',
+      ARRANGE_RULE
+    ],
+    suggestionTypes: ['position', 'alignment', 'size', 'layout', 'arrange'],
+    properties: ['x', 'y', 'alignment', 'width', 'height', 'layoutMode', 'itemSpacing', 'padding', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'primaryAxisAlignItems', 'counterAxisAlignItems', 'primaryAxisSizingMode', 'counterAxisSizingMode']
+  }
+};
 
-IMPORTANT RULES:
-1. Only suggest color changes that are visually different (avoid same RGB values)
-2. For size changes, suggest meaningful improvements (10-30% changes)  
-3. For text, suggest proper capitalization and readability improvements
-4. For alignment, be specific about horizontal/vertical positioning
-5. CRITICAL: Use the exact ID provided above for each element (starts with numbers/letters like "123:456")
+// Fall back to the general analysis for unknown or missing types
+function getAnalysisType(type) {
+  return ANALYSIS_TYPES[type] ? type : 'design-analysis';
+}
 
-Respond in this exact JSON format:
-{
+// JSON response format for an analysis type, shared by every prompt builder
+function buildSuggestionSchema(analysisType) {
+  const template = ANALYSIS_TYPES[getAnalysisType(analysisType)];
+  const singleTypes = template.suggestionTypes.filter(type => type !== 'arrange');
+  // Suggestions about several elements at once name them all in "elementIds"
+  const arrangeExample = template.suggestionTypes.includes('arrange') ? `,
+    {
+      "type": "arrange",
+      "elementIds": ["EXACT ID", "EXACT ID", "..."],
+      "property": "${ARRANGE_OPERATIONS.join('|')}",
+      "currentValue": "how the elements relate now",
+      "suggestedValue": "px or widest|narrowest for match-*, gap px for equalize-gap, else a short description",
+      "confidence": 0.8,
+      "reasoning": "why these elements should line up, share a size or share a gap"
+    }` : '';
+  return `{
   "suggestions": [
     {
-      "type": "color|size|text|general",
+      "type": "${singleTypes.join('|')}",
       "elementId": "USE EXACT ID FROM ABOVE (like 123:456)", 
-      "property": "fill|width|height|content|alignment",
+      "property": "${template.properties.join('|')}",
       "currentValue": "current value",
       "suggestedValue": "new value",
       "confidence": 0.8,
       "reasoning": "why this change improves the design"
-    }
+    }${arrangeExample}
   ]
 }`;
+}
+
+// Numbered rules for an analysis type, ending with the element ID rule every prompt needs
+function buildAnalysisRules(analysisType) {
+  const template = ANALYSIS_TYPES[getAnalysisType(analysisType)];
+  const rules = [
+    ...template.rules,
+    'CRITICAL: Use the exact ID provided above for each element (starts with numbers/letters like "123:456")'
+  ];
+  return rules.map((rule, index) => `${index + 1}. ${rule}`).join('\n');
+}
+
+// Longest designer request passed on to a model; longer text is cut off
+const MAX_INTENT_LENGTH = 1000;
+
+// Trimmed, length-capped designer request, or '' when the plugin sent none
+function normalizeIntent(value) {
+  return typeof value === 'string' ? value.trim().substring(0, MAX_INTENT_LENGTH) : '';
+}
+
+// The designer's own request ("increase contrast for accessibility") takes priority over the analysis
+// type's general focus. Empty when there is no request, so prompts read as before.
+function buildIntentInstructions(intent) {
+  if (!intent) return '';
+  return `DESIGNER'S REQUEST: "${intent}"
+Fulfil this request: only suggest changes that serve it, and leave elements it does not concern alone. If it cannot be done with the suggestion types in the response format, return an empty suggestions array.`;
+}
+
+// Figma colors are 0-1 floats; models read hex far more reliably
+function colorToHex(color, opacity) {
+  const channel = value => Math.round(Math.min(Math.max(value, 0), 1) * 255).toString(16).padStart(2, '0');
+  let hex = `#${channel(color.r)}${channel(color.g)}${channel(color.b)}`;
+  const alpha = opacity !== undefined ? opacity : color.a;
+  if (alpha !== undefined && alpha < 1) {
+    hex += channel(alpha);
+  }
+  return hex.toUpperCase();
+}
+
+function describePaint(paint) {
+  if (!paint || paint.visible === false) return null;
+
+  switch (paint.type) {
+    case 'SOLID':
+      return colorToHex(paint.color, paint.opacity);
+    case 'GRADIENT_LINEAR':
+    case 'GRADIENT_RADIAL':
+    case 'GRADIENT_ANGULAR':
+    case 'GRADIENT_DIAMOND': {
+      const kind = paint.type.replace('GRADIENT_', '').toLowerCase();
+      const stops = (paint.gradientStops || [])
+        .map(stop => `${colorToHex(stop.color)} ${Math.round(stop.position * 100)}%`);
+      return `${kind} gradient(${stops.join(', ')})`;
+    }
+    case 'IMAGE':
+      return `image (${(paint.scaleMode || 'FILL').toLowerCase()})`;
+    default:
+      return String(paint.type).toLowerCase();
+  }
+}
+
+function describeEffect(effect) {
+  if (!effect || effect.visible === false) return null;
+
+  if (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW') {
+    const kind = effect.type === 'DROP_SHADOW' ? 'drop shadow' : 'inner shadow';
+    const offset = effect.offset || { x: 0, y: 0 };
+    const spread = effect.spread ? ` spread ${effect.spread}` : '';
+    const color = effect.color ? ` ${colorToHex(effect.color)}` : '';
+    return `${kind} ${offset.x},${offset.y} blur ${effect.radius || 0}${spread}${color}`;
+  }
+  if (effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR') {
+    return `${effect.type === 'LAYER_BLUR' ? 'layer' : 'background'} blur ${effect.radius || 0}`;
+  }
+  return String(effect.type).toLowerCase();
+}
+
+// Line height and letter spacing arrive as { value, unit } objects
+function describeTextMetric(metric) {
+  if (metric === 'mixed') return 'mixed';
+  if (!metric || metric.unit === 'AUTO') return 'auto';
+  return metric.unit === 'PERCENT' ? `${metric.value}%` : `${metric.value}px`;
+}
+
+function describeTextStyle(textStyle) {
+  const parts = [
+    `${textStyle.fontFamily} ${textStyle.fontStyle}`,
+    textStyle.fontSize === 'mixed' ? 'mixed size' : `${textStyle.fontSize}px`,
+    `line-height ${describeTextMetric(textStyle.lineHeight)}`,
+    `letter-spacing ${describeTextMetric(textStyle.letterSpacing)}`
+  ];
+  if (textStyle.textCase && textStyle.textCase !== 'ORIGINAL') parts.push(`case ${textStyle.textCase.toLowerCase()}`);
+  if (textStyle.textDecoration && textStyle.textDecoration !== 'NONE') parts.push(textStyle.textDecoration.toLowerCase());
+  if (textStyle.textAlignHorizontal) parts.push(`align ${textStyle.textAlignHorizontal.toLowerCase()}`);
+  return parts.join(' ');
+}
+
+// e.g. `vertical gap 16 padding 24/16/24/16 align min/center size hug/fixed`
+function describeLayout(layout) {
+  const padding = [layout.paddingTop, layout.paddingRight, layout.paddingBottom, layout.paddingLeft].join('/');
+  const parts = [`${layout.layoutMode.toLowerCase()} gap ${layout.itemSpacing} padding ${padding}`];
+  if (layout.primaryAxisAlignItems && layout.counterAxisAlignItems) {
+    parts.push(`align ${layout.primaryAxisAlignItems.toLowerCase()}/${layout.counterAxisAlignItems.toLowerCase()}`);
+  }
+  if (layout.primaryAxisSizingMode && layout.counterAxisSizingMode) {
+    const sizing = [layout.primaryAxisSizingMode, layout.counterAxisSizingMode].map(mode => (mode === 'AUTO' ? 'hug' : 'fixed'));
+    parts.push(`size ${sizing.join('/')}`);
+  }
+  return parts.join(' ');
+}
+
+// e.g. `width fill, height hug, keeps aspect ratio`
+function describeSizing(sizing) {
+  const parts = [];
+  if (sizing.horizontal && sizing.horizontal !== 'FIXED') parts.push(`width ${sizing.horizontal.toLowerCase()}`);
+  if (sizing.vertical && sizing.vertical !== 'FIXED') parts.push(`height ${sizing.vertical.toLowerCase()}`);
+  if (sizing.keepsAspectRatio) parts.push('keeps aspect ratio');
+  return parts.join(', ');
+}
+
+// Turn an element's raw Figma styling into one compact line for a prompt, e.g.
+// `fill #1A73E8; stroke #DADCE0 1px; drop shadow 0,2 blur 4 #00000033; text Inter Bold 16px ...`
+function describeElementStyle(el) {
+  const parts = [];
+
+  const fills = (el.fills || []).map(describePaint).filter(Boolean);
+  if (fills.length > 0) {
+    parts.push(`fill ${fills.join(' + ')}`);
+  } else if (el.fill || el.color) {
+    parts.push(`fill ${el.fill || el.color}`);
+  }
+
+  const strokes = (el.strokes || []).map(describePaint).filter(Boolean);
+  if (strokes.length > 0) {
+    const weight = el.strokeWeight !== undefined ? ` ${el.strokeWeight === 'mixed' ? 'mixed' : `${el.strokeWeight}px`}` : '';
+    parts.push(`stroke ${strokes.join(' + ')}${weight}`);
+  }
+
+  const effects = (el.effects || []).map(describeEffect).filter(Boolean);
+  if (effects.length > 0) parts.push(effects.join(', '));
+
+  if (el.cornerRadius) parts.push(`radius ${el.cornerRadius}`);
+  if (el.opacity !== undefined && el.opacity < 1) parts.push(`opacity ${Math.round(el.opacity * 100)}%`);
+  if (el.sizing) parts.push(describeSizing(el.sizing));
+  if (el.textStyle) parts.push(`text ${describeTextStyle(el.textStyle)}`);
+  if (el.layout) {
+    parts.push(`auto-layout ${describeLayout(el.layout)}`);
+  } else if (el.type === 'FRAME' || el.type === 'COMPONENT') {
+    parts.push('no auto-layout');
+  }
+  if (el.characters) {
+    const text = el.characters.length > 80 ? `${el.characters.slice(0, 77)}...` : el.characters;
+    parts.push(`content "${text.replace(/\s+/g, ' ')}"`);
+  }
+
+  return parts.length > 0 ? parts.join('; ') : 'no fill or styling';
+}
+
+// Where an element sits in the selection tree, so the model can reason about nesting
+function describeElementHierarchy(el) {
+  if (!el.parentId) return '';
+  return ` | inside ${el.parentId} (depth ${el.depth})`;
+}
+
+// Hex of the first visible solid fill, for suggestion currentValue fields
+function getPrimaryFillHex(el) {
+  const solid = (el?.fills || []).find(paint => paint && paint.type === 'SOLID' && paint.visible !== false);
+  if (solid) return colorToHex(solid.color, solid.opacity);
+  return el?.fill || el?.color || null;
+}
+
+// Cancellation: model and agent calls take an AbortSignal as options.signal. Aborted calls reject with
+// an error marked `cancelled`, which is never retried and never counts against a provider.
+function createCancelledError(message = 'Analysis cancelled') {
+  const error = new Error(message);
+  error.cancelled = true;
+  return error;
+}
+
+function isCancelledError(error) {
+  return Boolean(error && (error.cancelled || axios.isCancel(error)));
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw createCancelledError();
+}
+
+// setTimeout as a promise that resolves early when the signal aborts; callers check the signal afterwards
+function waitFor(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) return resolve();
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Shared request layer for model calls: retries transient failures with exponential backoff,
+// honors Retry-After / retry-after-ms, and gives up at a total deadline.
+// Defaults come from MODEL_MAX_RETRIES, MODEL_RETRY_BASE_DELAY_MS and MODEL_RETRY_DEADLINE_MS.
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
 
+function getRetrySettings(options = {}) {
+  const envRetries = parseInt(process.env.MODEL_MAX_RETRIES, 10);
+  return {
+    maxRetries: options.maxRetries !== undefined ? options.maxRetries : (envRetries >= 0 ? envRetries : 3),
+    baseDelayMs: Number(process.env.MODEL_RETRY_BASE_DELAY_MS) || 500,
+    maxDelayMs: 10000,
+    deadlineMs: options.deadlineMs || Number(process.env.MODEL_RETRY_DEADLINE_MS) || 60000
+  };
+}
+
+// Throttling, timeouts, 5xx and dropped connections are worth another try; 4xx and bad configuration are not
+function isRetryableError(error) {
+  if (error.response) {
+    return RETRYABLE_STATUS_CODES.includes(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Server-requested wait in ms: Azure's retry-after-ms, or Retry-After as seconds or an HTTP date
+function parseRetryAfter(headers) {
+  if (!headers) return null;
+
+  const retryAfterMs = Number(headers['retry-after-ms']);
+  if (retryAfterMs > 0) return retryAfterMs;
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') return null;
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getRetryDelay(error, attempt, settings) {
+  const requested = parseRetryAfter(error.response && error.response.headers);
+  if (requested !== null) return requested;
+
+  // Exponential backoff with jitter so parallel requests do not retry in lockstep
+  const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// POST with retries. options: { label, stats, maxRetries, deadlineMs, signal }. `stats` (if given) counts
+// { requests, retries } so callers can report them. Thrown errors carry `attempts` and `retryable`;
+// an aborted signal stops the request and any pending retry with a cancelled error.
+async function postWithRetry(url, body, axiosConfig = {}, options = {}) {
+  const settings = getRetrySettings(options);
+  const label = options.label || 'Model request';
+  const deadline = Date.now() + settings.deadlineMs;
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    throwIfCancelled(options.signal);
+    if (options.stats) options.stats.requests++;
+    const remaining = Math.max(1, deadline - Date.now());
+
+    try {
+      return await axios.post(url, body, {
+        ...axiosConfig,
+        timeout: Math.min(axiosConfig.timeout || remaining, remaining),
+        signal: options.signal
+      });
+    } catch (error) {
+      if (isCancelledError(error)) throw createCancelledError();
+      error.attempts = attempt;
+      error.retryable = isRetryableError(error);
+      const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+
+      if (!error.retryable || attempt > settings.maxRetries) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, settings);
+      if (Date.now() + delay >= deadline) {
+        console.log(`⏱️ ${label}: ${reason}, retry deadline of ${settings.deadlineMs}ms reached after ${attempt} attempts`);
+        throw error;
+      }
+
+      console.log(`⏳ ${label}: ${reason}, retrying in ${delay}ms (attempt ${attempt + 1}/${settings.maxRetries + 1})`);
+      if (options.stats) options.stats.retries++;
+      await waitFor(delay, options.signal);
+    }
+  }
+}
+
+// System + user messages asking a chat model to analyze elements in the suggestion JSON format,
+// steered by the designer's request when there is one
+function buildAnalysisMessages(elementsData, analysisType, intent) {
+  const template = ANALYSIS_TYPES[getAnalysisType(analysisType)];
+  const prompt = `Analyze the following Figma design elements and suggest improvements. ${template.focus}
+
+Elements:
+${elementsData.map(el => `- ID: ${el.id} | ${el.type} "${el.name}" (${el.width}x${el.height}, ${describeElementStyle(el)})${describeElementHierarchy(el)}`).join('\n')}
+
+IMPORTANT RULES:
+${buildAnalysisRules(analysisType)}
+${intent ? `\n${buildIntentInstructions(intent)}\n` : ''}
+Respond in this exact JSON format:
+${buildSuggestionSchema(analysisType)}`;
+
+  return [
+    {
+      role: "system", 
+      content: DESIGN_EXPERT_SYSTEM_PROMPT
+    },
+    {
+      role: "user",
+      content: prompt
+    }
+  ];
+}
+
+// Azure OpenAI API Call; options.intent carries the designer's request
+async function callAzureOpenAI(elementsData, endpoint, apiKey, deployment, analysisType, options = {}) {
+  return callAzureOpenAIChat(buildAnalysisMessages(elementsData, analysisType, options.intent), endpoint, apiKey, deployment, options);
+}
+
+const DESIGN_EXPERT_SYSTEM_PROMPT = "You are a UX/UI design expert. Analyze designs and suggest specific improvements for better visual hierarchy, readability, and user experience. Always respond with valid JSON.";
+
+// Send a chat conversation to an Azure OpenAI deployment and return the reply text.
+// With options.onDelta the reply is streamed and each piece is passed to it as it arrives.
+async function callAzureOpenAIChat(messages, endpoint, apiKey, deployment, options = {}) {
   // Validate credentials before making the call
   if (!endpoint || !apiKey || !deployment) {
     throw new Error('Azure OpenAI credentials not configured');
   }
 
   try {
-    const response = await axios.post(
+    const response = await postWithRetry(
       `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=2024-02-01`,
       {
-        messages: [
-          {
-            role: "system", 
-            content: "You are a UX/UI design expert. Analyze designs and suggest specific improvements for better visual hierarchy, readability, and user experience. Always respond with valid JSON."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 1500,
-        temperature: 0.7
+        messages,
+        max_tokens: options.maxTokens || 1500,
+        temperature: options.temperature !== undefined ? options.temperature : 0.7,
+        stream: Boolean(options.onDelta)
       },
       {
         headers: {
           'Content-Type': 'application/json',
           'api-key': apiKey
         },
-        timeout: 30000  // 30 second timeout
-      }
+        timeout: options.timeout || 30000,  // 30 second timeout per attempt
+        responseType: options.onDelta ? 'stream' : 'json'
+      },
+      { ...options, label: 'Azure OpenAI' }
     );
 
+    if (options.onDelta) {
+      return await readChatCompletionStream(response.data, options.onDelta);
+    }
+
     if (!response.data || !response.data.choices || !response.data.choices[0]) {
       throw new Error('Invalid response structure from Azure OpenAI');
     }
 
     return response.data.choices[0].message.content;
   } catch (error) {
+    if (isCancelledError(error)) throw createCancelledError();
     const errorMsg = error.response ? 
       `API Error ${error.response.status}: ${error.response.statusText}` : 
       error.message;
@@ -76,9 +464,145 @@ Respond in this exact JSON format:
   }
 }
 
+// Send a chat conversation to any OpenAI-compatible /v1/chat/completions server
+// (OpenAI, a local llama.cpp or Ollama server, vLLM, ...) and return the reply text.
+// With options.onDelta the reply is streamed, as in callAzureOpenAIChat.
+async function callOpenAICompatibleChat(messages, baseUrl, apiKey, model, options = {}) {
+  if (!baseUrl || !model) {
+    throw new Error('OpenAI-compatible endpoint not configured');
+  }
+
+  // Accept the base URL with or without the trailing /v1
+  const root = baseUrl.replace(/\/+$/, '').replace(/\/v1$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  try {
+    const response = await postWithRetry(
+      `${root}/v1/chat/completions`,
+      {
+        model,
+        messages,
+        max_tokens: options.maxTokens || 1500,
+        temperature: options.temperature !== undefined ? options.temperature : 0.7,
+        stream: Boolean(options.onDelta)
+      },
+      {
+        headers,
+        timeout: options.timeout || 120000, // local models can be slow
+        responseType: options.onDelta ? 'stream' : 'json'
+      },
+      { deadlineMs: 150000, ...options, label: 'OpenAI-compatible endpoint' }
+    );
+
+    if (options.onDelta) {
+      return await readChatCompletionStream(response.data, options.onDelta);
+    }
+
+    if (!response.data || !response.data.choices || !response.data.choices[0]) {
+      throw new Error('Invalid response structure from OpenAI-compatible endpoint');
+    }
+
+    return response.data.choices[0].message.content;
+  } catch (error) {
+    if (isCancelledError(error)) throw createCancelledError();
+    const errorMsg = error.response ? 
+      `API Error ${error.response.status}: ${error.response.statusText}` : 
+      error.message;
+    console.log('🔄 OpenAI-compatible endpoint failed:', errorMsg);
+    throw error;
+  }
+}
+
+// Read an OpenAI-style server-sent event stream ("data: {...}" lines, ending with "data: [DONE]"),
+// passing each piece of reply text to onDelta. Resolves to the whole reply.
+async function readChatCompletionStream(stream, onDelta) {
+  let buffer = '';
+  let reply = '';
+  stream.setEncoding('utf8');
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return reply;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        continue;
+      }
+      // Azure sends content filter results in chunks without choices
+      const delta = event.choices && event.choices[0] && event.choices[0].delta && event.choices[0].delta.content;
+      if (delta) {
+        reply += delta;
+        onDelta(delta);
+      }
+    }
+  }
+
+  return reply;
+}
+
+// Where a suggestion came from. Anything other than MODEL is flagged in the plugin UI.
+const PROVENANCE = {
+  MODEL: 'model', // validated output of a real model
+  HEURISTIC: 'heuristic', // guessed from free text by a keyword parser
+  MOCK: 'mock' // canned data, no model involved
+};
+
+// Stamp suggestions with their provenance, keeping any tag they already carry
+function tagProvenance(suggestions, provenance) {
+  return (suggestions || []).map(suggestion => ({
+    ...suggestion,
+    provenance: suggestion.provenance || provenance
+  }));
+}
+
+// Count suggestions per provenance for the response metadata
+function summarizeProvenance(suggestions) {
+  const counts = { model: 0, heuristic: 0, mock: 0 };
+  (suggestions || []).forEach(suggestion => {
+    counts[suggestion.provenance] = (counts[suggestion.provenance] || 0) + 1;
+  });
+  return counts;
+}
+
+// AI_ALLOWED_PROVIDERS=openai-compatible,mock keeps confidential designs on approved providers
+function getAllowedProviders() {
+  const allowed = (process.env.AI_ALLOWED_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+  return allowed.length > 0 ? allowed : null;
+}
+
+// FALLBACK_TO_MOCK=false makes the API answer with an error instead of mock suggestions, and so does
+// an AI_ALLOWED_PROVIDERS list without "mock"
+function isMockFallbackEnabled() {
+  const allowed = getAllowedProviders();
+  return process.env.FALLBACK_TO_MOCK !== 'false' && (!allowed || allowed.includes('mock'));
+}
+
+// Mock suggestions when fallback is allowed; otherwise an error the routes turn into a 502
+function getMockFallback(elementsData, analysisType, reason) {
+  if (!isMockFallbackEnabled()) {
+    const error = new Error(`No AI provider produced a result and mock fallback is disabled: ${reason}`);
+    error.fallbackDisabled = true;
+    throw error;
+  }
+  console.log(`⚠️ Using mock suggestions: ${reason}`);
+  return generateMockAIResponse(elementsData, analysisType);
+}
+
 // Mock AI Response - Safe fallback that never fails
-function generateMockAIResponse(elementsData) {
+function generateMockAIResponse(elementsData, analysisType) {
   const suggestions = [];
+  const allowedTypes = ANALYSIS_TYPES[getAnalysisType(analysisType)].suggestionTypes;
   
   try {
     // Ensure elementsData is an array
@@ -95,7 +619,7 @@ function generateMockAIResponse(elementsData) {
         confidence: 1.0,
         reasoning: "Please select design elements in Figma to receive AI-powered suggestions."
       });
-      return { suggestions };
+      return { suggestions: tagProvenance(suggestions, PROVENANCE.MOCK) };
     }
   
     elements.forEach((element, index) => {
@@ -107,9 +631,9 @@ function generateMockAIResponse(elementsData) {
       const elementHeight = element?.height || 0;
       
       // Mock color suggestion using actual element ID - suggest colors for fillable elements
-      if (elementType === 'RECTANGLE' || elementType === 'ELLIPSE' || elementType === 'POLYGON' || 
-          elementType === 'SHAPE_WITH_TEXT' || elementType === 'FRAME' || elementType === 'COMPONENT') {
-        const currentFill = element.fill && element.fill !== 'none' ? element.fill : 'no color';
+      if (allowedTypes.includes('color') && (elementType === 'RECTANGLE' || elementType === 'ELLIPSE' || elementType === 'POLYGON' || 
+          elementType === 'SHAPE_WITH_TEXT' || elementType === 'FRAME' || elementType === 'COMPONENT')) {
+        const currentFill = getPrimaryFillHex(element) || 'no color';
         const colors = ['#4A90E2', '#50E3C2', '#F5A623', '#D0021B', '#7ED321'];
         const randomColor = colors[index % colors.length];
         
@@ -125,7 +649,7 @@ function generateMockAIResponse(elementsData) {
       }
     
       // Mock size suggestion using actual element ID
-      if (elementWidth && elementHeight) {
+      if (allowedTypes.includes('size') && elementWidth && elementHeight && element?.sizing?.horizontal !== 'FILL') {
         suggestions.push({
           type: "size",
           elementId: elementId, // Use actual Figma ID
@@ -137,8 +661,49 @@ function generateMockAIResponse(elementsData) {
         });
       }
       
+      // Mock typography suggestion - body text below 14px is hard to read
+      const fontSize = element?.textStyle?.fontSize;
+      if (allowedTypes.includes('text') && typeof fontSize === 'number' && fontSize < 14) {
+        suggestions.push({
+          type: "text",
+          elementId: elementId,
+          property: "fontSize",
+          currentValue: fontSize,
+          suggestedValue: 14,
+          confidence: 0.8,
+          reasoning: `Raised the font size of "${elementName}" to 14px so it stays readable.`
+        });
+      }
+
+      // Mock corner suggestion - square rectangles read as unfinished next to rounded UI
+      if (allowedTypes.includes('appearance') && elementType === 'RECTANGLE' && element?.cornerRadius === 0) {
+        suggestions.push({
+          type: "appearance",
+          elementId: elementId,
+          property: "cornerRadius",
+          currentValue: 0,
+          suggestedValue: 8,
+          confidence: 0.7,
+          reasoning: `Rounded the corners of "${elementName}" to 8px to match common component styling.`
+        });
+      }
+
+      // Mock auto-layout suggestion - snap the gap to the 8px grid
+      const itemSpacing = element?.layout?.itemSpacing;
+      if (allowedTypes.includes('layout') && typeof itemSpacing === 'number' && itemSpacing % 8 !== 0) {
+        suggestions.push({
+          type: "layout",
+          elementId: elementId,
+          property: "itemSpacing",
+          currentValue: itemSpacing,
+          suggestedValue: Math.max(8, Math.round(itemSpacing / 8) * 8),
+          confidence: 0.75,
+          reasoning: `Snapped the gap between children of "${elementName}" to the 8px grid.`
+        });
+      }
+
       // Mock text suggestion using actual element ID
-      if (elementType === 'TEXT' && elementName) {
+      if (allowedTypes.includes('text') && elementType === 'TEXT' && elementName) {
         suggestions.push({
           type: "text", 
           elementId: elementId, // Use actual Figma ID
@@ -149,8 +714,48 @@ function generateMockAIResponse(elementsData) {
           reasoning: `Improved capitalization for "${elementName}" for better readability and modern typography standards.`
         });
       }
+
+      // Mock spacing suggestion - snap the left edge to the 8px grid
+      if (allowedTypes.includes('position') && typeof element?.x === 'number' && element.x % 8 !== 0) {
+        suggestions.push({
+          type: "position",
+          elementId: elementId,
+          property: "x",
+          currentValue: element.x,
+          suggestedValue: Math.round(element.x / 8) * 8,
+          confidence: 0.75,
+          reasoning: `Snapped "${elementName}" to the 8px grid for consistent spacing.`
+        });
+      }
     });
     
+    // Mock arrange suggestion - siblings whose left edges almost line up
+    if (allowedTypes.includes('arrange')) {
+      const siblingGroups = new Map();
+      elements.forEach(element => {
+        if (element?.id && typeof element.x === 'number') {
+          const key = element.parentId || 'root';
+          siblingGroups.set(key, [...(siblingGroups.get(key) || []), element]);
+        }
+      });
+      siblingGroups.forEach(siblings => {
+        const lefts = siblings.map(element => element.x);
+        const spread = Math.max(...lefts) - Math.min(...lefts);
+        if (siblings.length >= 2 && spread > 0 && spread <= 16) {
+          suggestions.push({
+            type: "arrange",
+            elementIds: siblings.map(element => element.id),
+            elementId: siblings[0].id,
+            property: "align-left",
+            currentValue: `left edges ${spread}px apart`,
+            suggestedValue: "shared left edge",
+            confidence: 0.7,
+            reasoning: `Lined up the left edges of ${siblings.length} elements that are almost aligned.`
+          });
+        }
+      });
+    }
+
   } catch (error) {
     // Fallback for any errors in mock generation
     console.log('⚠️ Error in mock response generation:', error.message);
@@ -165,12 +770,12 @@ function generateMockAIResponse(elementsData) {
     });
   }
   
-  return { suggestions };
+  return { suggestions: tagProvenance(suggestions, PROVENANCE.MOCK) };
 }
 
 // Helper functions
 function parseColorValueForFigma(colorStr) {
-  if (!colorStr) return null;
+  if (!colorStr || typeof colorStr !== 'string') return null;
   
   // Handle hex colors
   if (colorStr.startsWith('#')) {
@@ -196,174 +801,1224 @@ function parseColorValueForFigma(colorStr) {
   return null;
 }
 
-function parseNumericValueFromAI(value) {
-  if (typeof value === 'number') return value;
-  const str = String(value);
-  const match = str.match(/(\d+(?:\.\d+)?)/);
-  return match ? parseFloat(match[1]) : null;
+// Typography properties a text suggestion may change besides its content
+const TYPOGRAPHY_PROPERTIES = ['fontSize', 'fontName', 'lineHeight', 'letterSpacing', 'textCase', 'textDecoration'];
+const TEXT_CASES = ['ORIGINAL', 'UPPER', 'LOWER', 'TITLE'];
+const TEXT_DECORATIONS = ['NONE', 'UNDERLINE', 'STRIKETHROUGH'];
+
+// "150%", "24px", 24 or an existing { value, unit } as a Figma LineHeight/LetterSpacing; null when unreadable
+function parseTextMetric(value, allowAuto) {
+  if (value && typeof value === 'object') {
+    if (allowAuto && value.unit === 'AUTO') return { unit: 'AUTO' };
+    return ['PIXELS', 'PERCENT'].includes(value.unit) && isFinite(value.value) ? { unit: value.unit, value: Number(value.value) } : null;
+  }
+  if (typeof value === 'number') return isFinite(value) ? { unit: 'PIXELS', value } : null;
+  const text = String(value || '').trim().toLowerCase();
+  if (allowAuto && text === 'auto') return { unit: 'AUTO' };
+  const match = text.match(/^(-?\d+(?:\.\d+)?)\s*(px|%)?$/);
+  if (!match) return null;
+  return { unit: match[2] === '%' ? 'PERCENT' : 'PIXELS', value: parseFloat(match[1]) };
 }
 
-// Azure AI Foundry Agent API Call (SDK-free REST API approach)
-async function callAzureAIFoundryAgent(elementsData, projectEndpoint, agentId, accessToken) {
-  try {
-    console.log('🤖 Starting SDK-free Azure AI Foundry agent call...');
-    
-    // Validate inputs
-    if (!projectEndpoint || !agentId) {
-      throw new Error('Project endpoint and agent ID are required');
+// Turn a typography suggestedValue into what the plugin assigns in Figma, or null when it is unusable:
+// fontSize -> number, fontName -> { family?, style } (a bare string is the style), lineHeight and
+// letterSpacing -> { unit, value }, textCase/textDecoration -> Figma enum strings
+function parseTypographyValueForFigma(property, value) {
+  switch (property) {
+    case 'fontSize': {
+      const size = typeof value === 'number' ? value : (typeof value === 'string' && NUMERIC_VALUE_PATTERN.test(value.trim()) ? parseFloat(value) : NaN);
+      return isFinite(size) && size >= 1 ? size : null;
     }
-
-    // If no access token provided, try to get one (this would need to be configured)
-    if (!accessToken) {
-      throw new Error('Access token is required for Azure AI Foundry REST API calls');
+    case 'fontName': {
+      if (typeof value === 'string') return value.trim() ? { style: value.trim() } : null;
+      if (!value || typeof value !== 'object' || typeof value.style !== 'string' || !value.style.trim()) return null;
+      if (value.family !== undefined && (typeof value.family !== 'string' || !value.family.trim())) return null;
+      return value.family ? { family: value.family.trim(), style: value.style.trim() } : { style: value.style.trim() };
+    }
+    case 'lineHeight': {
+      const lineHeight = parseTextMetric(value, true);
+      return lineHeight && (lineHeight.unit === 'AUTO' || lineHeight.value > 0) ? lineHeight : null;
+    }
+    case 'letterSpacing':
+      return parseTextMetric(value, false);
+    case 'textCase':
+    case 'textDecoration': {
+      const allowed = property === 'textCase' ? TEXT_CASES : TEXT_DECORATIONS;
+      const normalized = String(value || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+      return allowed.includes(normalized) ? normalized : null;
     }
+    default:
+      return null;
+  }
+}
 
-    const headers = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${accessToken}`,
-      'User-Agent': 'Figma-Design-Plugin/1.0'
-    };
+// Properties the stroke, appearance and effect suggestion types may change
+const APPEARANCE_PROPERTIES = {
+  stroke: ['strokeColor', 'strokeWeight'],
+  appearance: ['cornerRadius', 'opacity', 'blendMode'],
+  effect: ['dropShadow', 'layerBlur', 'backgroundBlur']
+};
+const BLEND_MODES = [
+  'PASS_THROUGH', 'NORMAL', 'DARKEN', 'MULTIPLY', 'LINEAR_BURN', 'COLOR_BURN', 'LIGHTEN', 'SCREEN', 'LINEAR_DODGE',
+  'COLOR_DODGE', 'OVERLAY', 'SOFT_LIGHT', 'HARD_LIGHT', 'DIFFERENCE', 'EXCLUSION', 'HUE', 'SATURATION', 'COLOR', 'LUMINOSITY'
+];
+// Figma's default drop shadow: 0,4 blur 4, black at 25%
+const DEFAULT_SHADOW = { color: { r: 0, g: 0, b: 0, a: 0.25 }, offsetX: 0, offsetY: 4, blur: 4, spread: 0 };
 
-    // Step 1: Create a thread
-    console.log('📝 Creating thread...');
-    const threadResponse = await axios.post(
-      `${projectEndpoint}/threads?api-version=v1`,
-      {},
-      { headers, timeout: 30000 }
-    );
-    
-    const threadId = threadResponse.data.id;
-    console.log(`✅ Thread created: ${threadId}`);
+// "12px", "12" or 12 as a number; NaN when unreadable
+function parsePixelValue(value) {
+  if (typeof value === 'number') return value;
+  return typeof value === 'string' && NUMERIC_VALUE_PATTERN.test(value.trim()) ? parseFloat(value) : NaN;
+}
 
-    // Step 2: Create a message in the thread
-    const messageContent = `I am a UX/UI designer working in Figma and I need help analyzing design elements for improvement suggestions. This is a legitimate design task for professional work.
+// "#RRGGBB", "#RRGGBBAA", rgb(), rgba() or { r, g, b, a? } with 0-1 channels as a Figma RGBA; null when unreadable
+function parseRgbaColorForFigma(value) {
+  if (isFigmaColor(value)) {
+    const alpha = value.a === undefined ? 1 : value.a;
+    return typeof alpha === 'number' && alpha >= 0 && alpha <= 1 ? { r: value.r, g: value.g, b: value.b, a: alpha } : null;
+  }
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
 
-Here are the Figma design elements I'm working with:
+  const hexMatch = text.match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/i);
+  if (hexMatch) {
+    const color = parseColorValueForFigma(`#${hexMatch[1]}`);
+    return { ...color, a: hexMatch[2] ? parseInt(hexMatch[2], 16) / 255 : 1 };
+  }
 
-${elementsData.map(el => `• Element "${el.name}" (ID: ${el.id})
-  - Type: ${el.type}
-  - Size: ${el.width}×${el.height} pixels
-  - Colors: ${el.fill || el.color || 'no color specified'}`).join('\n')}
+  const rgbaMatch = text.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*(\d*\.?\d+))?\)$/i);
+  if (rgbaMatch) {
+    const channels = rgbaMatch.slice(1, 4).map(channel => parseInt(channel, 10));
+    const alpha = rgbaMatch[4] === undefined ? 1 : parseFloat(rgbaMatch[4]);
+    if (channels.some(channel => channel > 255) || alpha > 1) return null;
+    return { r: channels[0] / 255, g: channels[1] / 255, b: channels[2] / 255, a: alpha };
+  }
+  return null;
+}
 
-Please help me improve these design elements by providing specific, actionable suggestions. Focus on:
+// CSS box-shadow style "0 4px 12px rgba(0, 0, 0, 0.15)" (x y [blur [spread]] [color]) as shadow fields
+function parseShadowString(text) {
+  const tokens = text.match(/rgba?\([^)]*\)|#[0-9a-f]+|-?\d*\.?\d+(?:px)?/gi) || [];
+  if (text.replace(/rgba?\([^)]*\)|#[0-9a-f]+|-?\d*\.?\d+(?:px)?/gi, '').trim()) return null;
 
-1. **Color improvements**: Better color choices for accessibility and visual appeal
-2. **Typography**: Font size and text readability improvements  
-3. **Layout and spacing**: Better positioning and visual hierarchy
-4. **Size optimization**: More appropriate dimensions for better user experience
+  const colors = tokens.filter(token => /^(#|rgb)/i.test(token));
+  const lengths = tokens.filter(token => !/^(#|rgb)/i.test(token)).map(parseFloat);
+  if (colors.length > 1 || lengths.length < 2 || lengths.length > 4) return null;
+  return { offsetX: lengths[0], offsetY: lengths[1], blur: lengths[2], spread: lengths[3], color: colors[0] };
+}
 
-Please provide practical suggestions that I can implement in Figma, such as:
-- Specific color values (RGB or hex codes)
-- Font size adjustments (in pixels)
-- Spacing and positioning changes
-- Alignment improvements
+// Drop shadow from a CSS-like string, { color, opacity?, offsetX, offsetY, blur, spread } or a Figma
+// DropShadowEffect; "none" removes the node's drop shadows
+function parseDropShadow(value) {
+  if (typeof value === 'string' && value.trim().toLowerCase() === 'none') return 'NONE';
 
-Format your response as actionable design recommendations I can apply to each element.`;
+  let fields = null;
+  if (typeof value === 'string') {
+    fields = parseShadowString(value.trim());
+  } else if (value && typeof value === 'object') {
+    fields = {
+      offsetX: value.offset ? value.offset.x : (value.offsetX !== undefined ? value.offsetX : value.x),
+      offsetY: value.offset ? value.offset.y : (value.offsetY !== undefined ? value.offsetY : value.y),
+      blur: value.radius !== undefined ? value.radius : value.blur,
+      spread: value.spread,
+      color: value.color,
+      opacity: value.opacity
+    };
+  }
+  if (!fields) return null;
 
-    console.log('💬 Creating message...');
-    const messageResponse = await axios.post(
-      `${projectEndpoint}/threads/${threadId}/messages?api-version=v1`,
-      {
-        role: 'user',
-        content: messageContent
-      },
-      { headers, timeout: 30000 }
-    );
-    
-    console.log(`✅ Message created: ${messageResponse.data.id}`);
+  const read = (field) => (fields[field] === undefined ? DEFAULT_SHADOW[field] : parsePixelValue(fields[field]));
+  const offsetX = read('offsetX');
+  const offsetY = read('offsetY');
+  const blur = read('blur');
+  const spread = read('spread');
+  if (![offsetX, offsetY, blur, spread].every(isFinite) || blur < 0) return null;
 
-    // Step 3: Create a run with the agent
-    console.log('🏃 Creating run...');
-    const runResponse = await axios.post(
-      `${projectEndpoint}/threads/${threadId}/runs?api-version=v1`,
-      {
-        assistant_id: agentId
-      },
-      { headers, timeout: 30000 }
-    );
-    
-    const runId = runResponse.data.id;
-    console.log(`✅ Run created: ${runId}`);
+  const color = fields.color === undefined ? { ...DEFAULT_SHADOW.color } : parseRgbaColorForFigma(fields.color);
+  if (!color) return null;
+  if (fields.opacity !== undefined) {
+    const opacity = parseOpacity(fields.opacity);
+    if (opacity === null) return null;
+    color.a = opacity;
+  }
 
-    // Step 4: Poll for completion
-    let run = runResponse.data;
-    let attempts = 0;
-    const maxAttempts = 60; // 60 seconds max
-    
-    while (run.status === 'queued' || run.status === 'in_progress') {
-      if (attempts >= maxAttempts) {
-        throw new Error('Run timed out after 60 seconds');
-      }
-      
-      console.log(`⏳ Run status: ${run.status}, attempt ${attempts + 1}/${maxAttempts}`);
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const statusResponse = await axios.get(
-        `${projectEndpoint}/threads/${threadId}/runs/${runId}?api-version=v1`,
-        { headers, timeout: 10000 }
-      );
-      
-      run = statusResponse.data;
-      attempts++;
-    }
+  return {
+    type: 'DROP_SHADOW',
+    color,
+    offset: { x: offsetX, y: offsetY },
+    radius: blur,
+    spread,
+    visible: true,
+    blendMode: 'NORMAL'
+  };
+}
+
+// 0.8, "0.8", "80%" or 80 as a 0-1 opacity; null when out of range
+function parseOpacity(value) {
+  const text = typeof value === 'string' ? value.trim() : value;
+  const percent = typeof text === 'string' && text.endsWith('%');
+  const number = typeof text === 'number' ? text : (typeof text === 'string' && /^\d*\.?\d+%?$/.test(text) ? parseFloat(text) : NaN);
+  if (!isFinite(number) || number < 0) return null;
+  const opacity = percent || number > 1 ? number / 100 : number;
+  return opacity <= 1 ? opacity : null;
+}
+
+// Turn a stroke, appearance or effect suggestedValue into what the plugin assigns in Figma, or null when
+// it is unusable: strokeColor -> { r, g, b }, strokeWeight/cornerRadius -> pixels, opacity -> 0-1,
+// blendMode -> Figma enum string, dropShadow -> DropShadowEffect or "NONE", layerBlur/backgroundBlur -> radius (0 removes)
+function parseAppearanceValueForFigma(property, value) {
+  switch (property) {
+    case 'strokeColor':
+      if (isFigmaColor(value)) return { r: value.r, g: value.g, b: value.b };
+      return typeof value === 'string' ? parseColorValueForFigma(value.trim()) : null;
+    case 'strokeWeight':
+    case 'cornerRadius': {
+      const pixels = parsePixelValue(value);
+      return isFinite(pixels) && pixels >= 0 ? pixels : null;
+    }
+    case 'opacity':
+      return parseOpacity(value);
+    case 'blendMode': {
+      const normalized = String(value || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+      return BLEND_MODES.includes(normalized) ? normalized : null;
+    }
+    case 'dropShadow':
+      return parseDropShadow(value);
+    case 'layerBlur':
+    case 'backgroundBlur': {
+      if (typeof value === 'string' && value.trim().toLowerCase() === 'none') return 0;
+      const radius = value && typeof value === 'object' ? parsePixelValue(value.radius) : parsePixelValue(value);
+      return isFinite(radius) && radius >= 0 ? radius : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Auto-layout properties a layout suggestion may change, and the Figma values each enum accepts
+const LAYOUT_PROPERTIES = [
+  'layoutMode', 'itemSpacing', 'padding', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'primaryAxisAlignItems', 'counterAxisAlignItems', 'primaryAxisSizingMode', 'counterAxisSizingMode'
+];
+const LAYOUT_ENUMS = {
+  layoutMode: ['HORIZONTAL', 'VERTICAL', 'NONE'],
+  primaryAxisAlignItems: ['MIN', 'CENTER', 'MAX', 'SPACE_BETWEEN'],
+  counterAxisAlignItems: ['MIN', 'CENTER', 'MAX', 'BASELINE'],
+  primaryAxisSizingMode: ['FIXED', 'AUTO'],
+  counterAxisSizingMode: ['FIXED', 'AUTO']
+};
+// CSS and Figma UI words models use for the same settings
+const LAYOUT_ALIASES = {
+  ROW: 'HORIZONTAL', COLUMN: 'VERTICAL',
+  START: 'MIN', LEFT: 'MIN', TOP: 'MIN', END: 'MAX', RIGHT: 'MAX', BOTTOM: 'MAX', MIDDLE: 'CENTER',
+  HUG: 'AUTO', HUG_CONTENTS: 'AUTO'
+};
+
+// 16, "16px", "16 24", "8 16 24" or "8 16 24 32" (CSS order) or { top, right, bottom, left } as padding; null when unreadable
+function parsePadding(value) {
+  if (value && typeof value === 'object') {
+    const sides = ['top', 'right', 'bottom', 'left'].map(side => parsePixelValue(value[side]));
+    return sides.every(side => isFinite(side) && side >= 0) ? { top: sides[0], right: sides[1], bottom: sides[2], left: sides[3] } : null;
+  }
+  const values = typeof value === 'number' ? [value] : String(value || '').trim().split(/\s+/).map(parsePixelValue);
+  if (values.length === 0 || values.length > 4 || !values.every(side => isFinite(side) && side >= 0)) return null;
+  const [top, right = top, bottom = top, left = right] = values;
+  return { top, right, bottom, left };
+}
+
+// Turn a layout suggestedValue into what the plugin assigns in Figma, or null when it is unusable:
+// spacing and single paddings -> pixels, padding -> { top, right, bottom, left }, the rest -> Figma enum
+// strings ("hug" -> AUTO, "start" -> MIN, ...)
+function parseLayoutValueForFigma(property, value) {
+  if (LAYOUT_ENUMS[property]) {
+    const normalized = String(value || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+    const resolved = LAYOUT_ALIASES[normalized] || normalized;
+    return LAYOUT_ENUMS[property].includes(resolved) ? resolved : null;
+  }
+  if (property === 'padding') return parsePadding(value);
+  if (LAYOUT_PROPERTIES.includes(property)) {
+    const pixels = parsePixelValue(value);
+    return isFinite(pixels) && pixels >= 0 ? pixels : null;
+  }
+  return null;
+}
+
+// Arrange operations that take a value; align and distribute work from the elements' current bounds
+const ARRANGE_VALUE_OPERATIONS = ['match-width', 'match-height', 'equalize-gap'];
+const MATCH_SIZE_KEYWORDS = { WIDEST: 'MAX', LARGEST: 'MAX', TALLEST: 'MAX', MAX: 'MAX', NARROWEST: 'MIN', SMALLEST: 'MIN', SHORTEST: 'MIN', MIN: 'MIN' };
+
+// Turn an arrange suggestedValue into what the plugin uses, or null when it is unusable: match-width/height ->
+// pixels or "MAX"/"MIN" (the largest or smallest current size), equalize-gap -> pixels
+function parseArrangeValueForFigma(operation, value) {
+  if (operation === 'match-width' || operation === 'match-height') {
+    const keyword = MATCH_SIZE_KEYWORDS[String(value || '').trim().toUpperCase()];
+    if (keyword) return keyword;
+    const pixels = parsePixelValue(value);
+    return isFinite(pixels) && pixels > 0 ? pixels : null;
+  }
+  if (operation === 'equalize-gap') {
+    const pixels = parsePixelValue(value);
+    return isFinite(pixels) && pixels >= 0 ? pixels : null;
+  }
+  return null;
+}
+
+// Problems with the element set of an arrange suggestion
+function validateArrangeTargets(suggestion, elementIds, path) {
+  if (!Array.isArray(suggestion.elementIds) || suggestion.elementIds.length < 2) {
+    return [`${path}.elementIds: must list 2 or more element IDs`];
+  }
+  const problems = suggestion.elementIds
+    .filter(id => !elementIds.has(id))
+    .map(id => `${path}.elementIds: "${id}" is not one of the provided element IDs`);
+  if (new Set(suggestion.elementIds).size !== suggestion.elementIds.length) {
+    problems.push(`${path}.elementIds: must not repeat an element`);
+  }
+  return problems;
+}
+
+function parseNumericValueFromAI(value) {
+  if (typeof value === 'number') return value;
+  const str = String(value);
+  const match = str.match(/(-?\d+(?:\.\d+)?)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+// Properties each suggestion type may target, mirroring the apply handlers in code.ts.
+// An empty list means any non-empty property name is accepted.
+const SUGGESTION_PROPERTIES = {
+  color: ['fill'],
+  size: ['width', 'height'],
+  position: ['x', 'y'],
+  text: ['content', 'characters', 'text', ...TYPOGRAPHY_PROPERTIES],
+  ...APPEARANCE_PROPERTIES,
+  layout: LAYOUT_PROPERTIES,
+  arrange: ARRANGE_OPERATIONS,
+  alignment: ['alignment'],
+  general: []
+};
+
+const NUMERIC_VALUE_PATTERN = /^-?\d+(\.\d+)?(px)?$/;
+
+function isFigmaColor(value) {
+  return value !== null && typeof value === 'object' &&
+    ['r', 'g', 'b'].every(channel => typeof value[channel] === 'number' && value[channel] >= 0 && value[channel] <= 1);
+}
+
+// What a typography suggestedValue should look like, for validation errors the model can act on
+const TYPOGRAPHY_VALUE_HINTS = {
+  fontSize: 'must be a font size in pixels (1 or more)',
+  fontName: 'must be {"family": "...", "style": "..."} or a style name like "Bold"',
+  lineHeight: 'must be pixels, a percentage like "150%" or "auto"',
+  letterSpacing: 'must be pixels or a percentage like "2%"',
+  textCase: `must be one of ${TEXT_CASES.join(', ')}`,
+  textDecoration: `must be one of ${TEXT_DECORATIONS.join(', ')}`
+};
+
+// What a stroke, appearance or effect suggestedValue should look like
+const APPEARANCE_VALUE_HINTS = {
+  strokeColor: 'must be a hex color like "#DADCE0" or rgb(r, g, b)',
+  strokeWeight: 'must be a stroke width in pixels (0 or more)',
+  cornerRadius: 'must be a corner radius in pixels (0 or more)',
+  opacity: 'must be an opacity between 0 and 1 or a percentage like "80%"',
+  blendMode: `must be one of ${BLEND_MODES.join(', ')}`,
+  dropShadow: 'must be "x y blur [spread] color" like "0 4px 12px rgba(0, 0, 0, 0.15)", {"offsetX", "offsetY", "blur", "spread", "color"} or "none"',
+  layerBlur: 'must be a blur radius in pixels (0 or "none" removes the blur)',
+  backgroundBlur: 'must be a blur radius in pixels (0 or "none" removes the blur)'
+};
+
+// What a layout suggestedValue should look like
+function describeLayoutValue(property) {
+  if (property === 'padding') return 'must be pixels, CSS shorthand like "16 24" or {"top", "right", "bottom", "left"}';
+  if (property === 'primaryAxisSizingMode' || property === 'counterAxisSizingMode') return 'must be HUG or FIXED';
+  if (LAYOUT_ENUMS[property]) return `must be one of ${LAYOUT_ENUMS[property].join(', ')}`;
+  return 'must be a number of pixels (0 or more)';
+}
+
+// Check suggestedValue against the shape the apply handler for its type expects
+function validateSuggestedValue(type, property, value) {
+  switch (type) {
+    case 'color':
+      if (isFigmaColor(value)) return null;
+      if (typeof value === 'string' && parseColorValueForFigma(value.trim())) return null;
+      return 'must be a hex color like "#1A73E8", rgb(r, g, b) or a {r, g, b} object with 0-1 channels';
+    case 'size':
+    case 'position': {
+      const numeric = typeof value === 'number' ? value : (typeof value === 'string' && NUMERIC_VALUE_PATTERN.test(value.trim()) ? parseFloat(value) : NaN);
+      if (!isFinite(numeric)) return 'must be a number of pixels';
+      if (type === 'size' && numeric <= 0) return 'must be greater than 0';
+      return null;
+    }
+    case 'text':
+      if (!TYPOGRAPHY_PROPERTIES.includes(property)) {
+        return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+      }
+      return parseTypographyValueForFigma(property, value) !== null ? null : TYPOGRAPHY_VALUE_HINTS[property];
+    case 'stroke':
+    case 'appearance':
+    case 'effect':
+      // An unknown property is already reported on its own
+      if (!APPEARANCE_PROPERTIES[type].includes(property)) return null;
+      return parseAppearanceValueForFigma(property, value) !== null ? null : APPEARANCE_VALUE_HINTS[property];
+    case 'layout':
+      if (!LAYOUT_PROPERTIES.includes(property)) return null;
+      return parseLayoutValueForFigma(property, value) !== null ? null : describeLayoutValue(property);
+    case 'arrange':
+      if (!ARRANGE_VALUE_OPERATIONS.includes(property)) return null;
+      if (parseArrangeValueForFigma(property, value) !== null) return null;
+      return property === 'equalize-gap' ? 'must be the gap in pixels (0 or more)' : 'must be a size in pixels or "widest"/"narrowest"';
+    default:
+      return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+  }
+}
+
+// A width/height suggestion for a side that fills the element's auto-layout parent, which the plugin refuses
+function describeSizeConflict(suggestion, element) {
+  if (suggestion.type !== 'size' || !element || !element.sizing) return null;
+  const side = suggestion.property === 'width' ? 'horizontal' : suggestion.property === 'height' ? 'vertical' : null;
+  if (!side || element.sizing[side] !== 'FILL') return null;
+  return `"${suggestion.property}" of ${suggestion.elementId} fills its auto-layout parent and cannot be set; resize the parent instead`;
+}
+
+// Pull the JSON object out of a model reply, tolerating ```json fences and surrounding prose
+function extractJsonPayload(rawResponse) {
+  if (rawResponse && typeof rawResponse === 'object') return rawResponse;
+
+  let text = String(rawResponse || '').trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    text = fenced[1].trim();
+  }
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON object found in model response');
+  }
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+// Strictly validate a model reply against the suggestion schema. Valid suggestions
+// are returned even when others fail, along with one error per problem found.
+function validateSuggestionResponse(rawResponse, elementsData, analysisType) {
+  const errors = [];
+  let payload;
+
+  try {
+    payload = extractJsonPayload(rawResponse);
+  } catch (error) {
+    return { suggestions: [], errors: [`response: not valid JSON (${error.message})`] };
+  }
+
+  if (!payload || !Array.isArray(payload.suggestions)) {
+    return { suggestions: [], errors: ['response: must be an object with a "suggestions" array'] };
+  }
+
+  const allowedTypes = ANALYSIS_TYPES[getAnalysisType(analysisType)].suggestionTypes;
+  const elementIds = new Set((elementsData || []).map(el => el.id));
+  const suggestions = [];
+
+  payload.suggestions.forEach((suggestion, index) => {
+    const path = `suggestions[${index}]`;
+    const problems = [];
+
+    if (!suggestion || typeof suggestion !== 'object') {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+
+    if (!SUGGESTION_PROPERTIES[suggestion.type]) {
+      problems.push(`${path}.type: unknown type "${suggestion.type}"`);
+    } else if (!allowedTypes.includes(suggestion.type)) {
+      problems.push(`${path}.type: "${suggestion.type}" is not allowed for ${getAnalysisType(analysisType)} (use ${allowedTypes.join(', ')})`);
+    }
+
+    const properties = SUGGESTION_PROPERTIES[suggestion.type];
+    if (typeof suggestion.property !== 'string' || !suggestion.property.trim()) {
+      problems.push(`${path}.property: must be a non-empty string`);
+    } else if (properties && properties.length > 0 && !properties.includes(suggestion.property)) {
+      problems.push(`${path}.property: "${suggestion.property}" is not valid for ${suggestion.type} (use ${properties.join(', ')})`);
+    }
+
+    if (suggestion.type === 'arrange') {
+      problems.push(...validateArrangeTargets(suggestion, elementIds, path));
+    } else if (!elementIds.has(suggestion.elementId)) {
+      problems.push(`${path}.elementId: "${suggestion.elementId}" is not one of the provided element IDs`);
+    } else {
+      const sizeConflict = describeSizeConflict(suggestion, elementsData.find(el => el.id === suggestion.elementId));
+      if (sizeConflict) problems.push(`${path}.property: ${sizeConflict}`);
+    }
+
+    if (properties) {
+      const valueError = validateSuggestedValue(suggestion.type, suggestion.property, suggestion.suggestedValue);
+      if (valueError) {
+        problems.push(`${path}.suggestedValue: ${valueError} (got ${JSON.stringify(suggestion.suggestedValue)})`);
+      }
+    }
+
+    if (typeof suggestion.confidence !== 'number' || suggestion.confidence < 0 || suggestion.confidence > 1) {
+      problems.push(`${path}.confidence: must be a number between 0 and 1 (got ${JSON.stringify(suggestion.confidence)})`);
+    }
+
+    if (typeof suggestion.reasoning !== 'string' || !suggestion.reasoning.trim()) {
+      problems.push(`${path}.reasoning: must be a non-empty string`);
+    }
+
+    if (problems.length > 0) {
+      errors.push(...problems);
+    } else {
+      suggestions.push(suggestion);
+    }
+  });
+
+  return { suggestions, errors };
+}
+
+// Incremental parser for a streamed { "suggestions": [ {...}, {...} ] } reply: passes each array element
+// to onSuggestion as soon as its closing brace arrives, skipping prose or code fences around the JSON.
+function createSuggestionStreamParser(onSuggestion) {
+  let buffer = '';
+  let position = -1; // scan position inside the suggestions array; -1 until the array opens
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+  let finished = false;
+
+  return function push(text) {
+    buffer += text;
+    if (finished) return;
+
+    if (position === -1) {
+      const match = buffer.match(/"suggestions"\s*:\s*\[/);
+      if (!match) return;
+      position = match.index + match[0].length;
+    }
+
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 0 && char === '{') objectStart = position;
+        depth++;
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) {
+          finished = true; // the suggestions array itself closed
+          return;
+        }
+        depth--;
+        if (depth === 0 && objectStart !== -1) {
+          let candidate = null;
+          try {
+            candidate = JSON.parse(buffer.slice(objectStart, position + 1));
+          } catch (error) {
+            // Malformed element - the validation of the full reply reports it
+          }
+          objectStart = -1;
+          if (candidate) onSuggestion(candidate);
+        }
+      }
+    }
+  };
+}
+
+// onDelta handler for streamed model replies: each suggestion that passes validation on its own is
+// tagged as model output and handed to onSuggestion while the rest of the reply is still arriving.
+// The full reply is still validated (and repaired if needed) once it is complete.
+function streamValidatedSuggestions(elementsData, analysisType, onSuggestion) {
+  return createSuggestionStreamParser(candidate => {
+    const result = validateSuggestionResponse({ suggestions: [candidate] }, elementsData, analysisType);
+    if (result.suggestions.length === 1) {
+      onSuggestion(tagProvenance(result.suggestions, PROVENANCE.MODEL)[0]);
+    }
+  });
+}
+
+// Follow-up prompt asking the model to fix a reply that failed validation
+function buildRepairPrompt(rawResponse, errors, elementsData, analysisType) {
+  const previous = typeof rawResponse === 'string' ? rawResponse : JSON.stringify(rawResponse);
+  return `Your previous reply did not match the required JSON schema.
+
+Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Your previous reply:
+${previous.length > 4000 ? previous.slice(0, 4000) + '...' : previous}
+
+Valid element IDs: ${(elementsData || []).map(el => el.id).join(', ')}
+
+Return ONLY the corrected JSON - no prose and no code fences - in this exact format:
+${buildSuggestionSchema(analysisType)}`;
+}
+
+// Validate a model reply and, if it fails, give the model one chance to repair it.
+// `repair` receives the repair prompt and resolves to the model's new reply.
+// Returns the valid suggestions plus diagnostics for the response metadata.
+async function parseValidatedSuggestions(rawResponse, elementsData, analysisType, repair) {
+  let result = validateSuggestionResponse(rawResponse, elementsData, analysisType);
+  const diagnostics = {
+    valid: result.errors.length === 0,
+    repairAttempted: false,
+    repaired: false,
+    errors: result.errors
+  };
+
+  if (result.errors.length > 0 && repair) {
+    console.log(`🔧 Model response failed validation (${result.errors.length} errors), requesting repair...`);
+    diagnostics.repairAttempted = true;
+    diagnostics.initialErrors = result.errors;
+
+    try {
+      const repairedResponse = await repair(buildRepairPrompt(rawResponse, result.errors, elementsData, analysisType));
+      const repairedResult = validateSuggestionResponse(repairedResponse, elementsData, analysisType);
+      // Keep whichever attempt produced more usable suggestions
+      if (repairedResult.suggestions.length >= result.suggestions.length) {
+        result = repairedResult;
+      }
+      diagnostics.repaired = repairedResult.errors.length === 0;
+    } catch (repairError) {
+      console.log('❌ Repair request failed:', repairError.message);
+      diagnostics.repairError = repairError.message;
+    }
+
+    diagnostics.errors = result.errors;
+    diagnostics.valid = result.errors.length === 0;
+  }
+
+  return { suggestions: tagProvenance(result.suggestions, PROVENANCE.MODEL), diagnostics };
+}
+
+// Repair callback for parseValidatedSuggestions backed by an Azure OpenAI deployment
+function createAzureOpenAIRepair(endpoint, apiKey, deployment, options = {}) {
+  return repairPrompt => callAzureOpenAIChat([
+    { role: 'system', content: DESIGN_EXPERT_SYSTEM_PROMPT },
+    { role: 'user', content: repairPrompt }
+  ], endpoint, apiKey, deployment, { ...options, temperature: 0 });
+}
+
+// Repair callback for parseValidatedSuggestions backed by an OpenAI-compatible server
+function createOpenAICompatibleRepair(baseUrl, apiKey, model, options = {}) {
+  return repairPrompt => callOpenAICompatibleChat([
+    { role: 'system', content: DESIGN_EXPERT_SYSTEM_PROMPT },
+    { role: 'user', content: repairPrompt }
+  ], baseUrl, apiKey, model, { ...options, temperature: 0 });
+}
+
+// Pull every JSON value out of an agent reply: fenced ```json blocks plus bare objects/arrays in the prose
+function extractJsonBlocks(text) {
+  const blocks = [];
+  const source = String(text || '');
+
+  const fencePattern = /```(?:json)?\s*([\s\S]*?)```/gi;
+  let fence;
+  while ((fence = fencePattern.exec(source)) !== null) {
+    try {
+      blocks.push(JSON.parse(fence[1].trim()));
+    } catch (error) {
+      // Not JSON (or truncated) - the bracket scan below may still find objects inside it
+    }
+  }
+  if (blocks.length > 0) return blocks;
+
+  // No usable fences: scan for balanced top-level {...} / [...] spans, skipping brackets inside strings
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"' && depth > 0) {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if ((char === '}' || char === ']') && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        try {
+          blocks.push(JSON.parse(source.slice(start, i + 1)));
+        } catch (error) {
+          // Prose in brackets, not JSON
+        }
+      }
+    }
+  }
+  return blocks;
+}
+
+// Map an agent's element reference (ID, "Name (ID: 1:2)", quoted or bare name) back to a real element ID
+function resolveElementReference(reference, elementsData) {
+  const elements = elementsData || [];
+  if (reference === undefined || reference === null || elements.length === 0) return null;
+
+  const ref = String(reference).trim();
+  const byId = elements.find(el => el.id === ref);
+  if (byId) return byId.id;
+
+  const embeddedId = ref.match(/\d+:\d+(?:;\d+:\d+)*/);
+  if (embeddedId) {
+    const match = elements.find(el => el.id === embeddedId[0]);
+    if (match) return match.id;
+  }
+
+  const quoted = ref.match(/["'“]([^"'”]+)["'”]/);
+  const name = (quoted ? quoted[1] : ref).trim().toLowerCase();
+  const byName = elements.filter(el => (el.name || '').trim().toLowerCase() === name);
+  // Ambiguous names are left unresolved rather than guessed
+  return byName.length === 1 ? byName[0].id : null;
+}
+
+// Parse an Azure AI Foundry agent reply into validated suggestions.
+// Shared by the Express server and the Functions app so both behave the same way.
+// `repair` (optional, see parseValidatedSuggestions) gets one chance to fix a reply that fails validation,
+// including one with no JSON at all.
+async function parseFoundryAgentResponse(foundryResponse, elementsData, analysisType, repair) {
+  const message = typeof foundryResponse === 'string' ? foundryResponse : (foundryResponse?.message || '');
+
+  // Structured replies are used directly; otherwise gather suggestions from every JSON block in the text
+  const blocks = Array.isArray(foundryResponse?.suggestions) ? [foundryResponse] : extractJsonBlocks(message);
+  const candidates = [];
+  blocks.forEach(block => {
+    if (Array.isArray(block)) {
+      candidates.push(...block);
+    } else if (block && Array.isArray(block.suggestions)) {
+      candidates.push(...block.suggestions);
+    } else if (block && typeof block === 'object' && block.type && block.property) {
+      candidates.push(block);
+    }
+  });
+
+  if (candidates.length === 0 && !repair) {
+    throw new Error(`Foundry agent reply contained no JSON suggestions${message ? `: "${message.substring(0, 120)}..."` : ''}`);
+  }
+
+  const payload = candidates.length === 0 ? message : {
+    suggestions: candidates.map(suggestion => {
+      if (!suggestion || typeof suggestion !== 'object') return suggestion;
+      if (Array.isArray(suggestion.elementIds)) {
+        const elementIds = suggestion.elementIds.map(reference => resolveElementReference(reference, elementsData) || reference);
+        return { ...suggestion, elementIds };
+      }
+      const elementId = resolveElementReference(suggestion.elementId ?? suggestion.elementName ?? suggestion.element, elementsData);
+      return elementId ? { ...suggestion, elementId } : suggestion;
+    })
+  };
+
+  const result = await parseValidatedSuggestions(payload, elementsData, analysisType, repair);
+  console.log(`✅ Foundry reply: ${blocks.length} JSON block(s), ${result.suggestions.length} valid suggestion(s), ${result.diagnostics.errors.length} rejected`);
+
+  if (result.suggestions.length === 0) {
+    throw new Error(`Foundry agent suggestions failed validation: ${result.diagnostics.errors.slice(0, 3).join('; ')}`);
+  }
+
+  return {
+    suggestions: result.suggestions,
+    validation: result.diagnostics,
+    originalMessage: message
+  };
+}
+
+// Run states that mean the agent is still working; anything else is terminal or needs us
+const FOUNDRY_ACTIVE_RUN_STATUSES = ['queued', 'in_progress', 'cancelling'];
+
+// Poll quickly at first, back off to FOUNDRY_POLL_MAX_MS, and stop at FOUNDRY_RUN_DEADLINE_MS -
+// or a few seconds before the caller's own deadlineAt, leaving time to cancel the run
+function getFoundryRunSettings(options = {}) {
+  const deadlineMs = Number(process.env.FOUNDRY_RUN_DEADLINE_MS) || 90000;
+  return {
+    initialDelayMs: Number(process.env.FOUNDRY_POLL_INITIAL_MS) || 500,
+    maxDelayMs: Number(process.env.FOUNDRY_POLL_MAX_MS) || 5000,
+    deadlineAt: Math.min(Date.now() + deadlineMs, options.deadlineAt ? options.deadlineAt - 5000 : Infinity)
+  };
+}
+
+// Run status report for logs and API metadata: where the run ended, why, what it cost and what each step did
+function describeFoundryRun(run, steps, extra = {}) {
+  const toolCalls = run.required_action?.submit_tool_outputs?.tool_calls || [];
+  return {
+    runId: run.id,
+    threadId: run.thread_id,
+    status: run.status,
+    lastError: run.last_error ? { code: run.last_error.code, message: run.last_error.message } : null,
+    incompleteReason: run.incomplete_details?.reason || null,
+    requiredTools: toolCalls.length > 0 ? toolCalls.map(call => call.function?.name || call.type) : null,
+    usage: run.usage ? {
+      promptTokens: run.usage.prompt_tokens,
+      completionTokens: run.usage.completion_tokens,
+      totalTokens: run.usage.total_tokens
+    } : null,
+    steps: steps,
+    ...extra
+  };
+}
+
+// Run steps (message creation, tool calls) in order; null when they cannot be fetched
+async function fetchFoundryRunSteps(projectEndpoint, threadId, runId, headers) {
+  try {
+    const response = await axios.get(
+      `${projectEndpoint}/threads/${threadId}/runs/${runId}/steps?api-version=v1&order=asc`,
+      { headers, timeout: 10000 }
+    );
+    return (response.data.data || []).map(step => ({
+      id: step.id,
+      type: step.type === 'tool_calls'
+        ? `tool_calls (${(step.step_details?.tool_calls || []).map(call => call.type).join(', ')})`
+        : step.type,
+      status: step.status,
+      lastError: step.last_error?.message || null,
+      totalTokens: step.usage?.total_tokens ?? null
+    }));
+  } catch (error) {
+    console.warn('⚠️ Could not fetch run steps:', error.message);
+    return null;
+  }
+}
+
+// Ask Foundry to stop a run so it does not keep spending tokens after we have given up on it
+async function cancelFoundryRun(projectEndpoint, threadId, runId, headers) {
+  try {
+    const response = await axios.post(
+      `${projectEndpoint}/threads/${threadId}/runs/${runId}/cancel?api-version=v1`,
+      {},
+      { headers, timeout: 10000 }
+    );
+    console.log(`🛑 Run ${runId} cancel requested, status: ${response.data.status}`);
+    return response.data;
+  } catch (error) {
+    console.warn(`⚠️ Could not cancel run ${runId}:`, error.message);
+    return null;
+  }
+}
+
+// Poll a run until it leaves the active states, backing off between polls. Transient poll failures
+// are retried; at the deadline, or as soon as options.signal aborts, the run is cancelled.
+// options: { stats, onProgress, signal } - onProgress hears about every status change.
+// Resolves to { run, polls, timedOut, aborted }.
+async function pollFoundryRun(projectEndpoint, threadId, run, headers, settings, options = {}) {
+  const stats = options.stats;
+  let delayMs = settings.initialDelayMs;
+  let polls = 0;
+
+  while (FOUNDRY_ACTIVE_RUN_STATUSES.includes(run.status)) {
+    const remainingMs = settings.deadlineAt - Date.now();
+    const aborted = Boolean(options.signal && options.signal.aborted);
+    if (remainingMs <= 0 || aborted) {
+      const cancelledRun = await cancelFoundryRun(projectEndpoint, threadId, run.id, headers);
+      return { run: cancelledRun || run, polls, timedOut: !aborted, aborted };
+    }
+
+    await waitFor(Math.min(delayMs, remainingMs), options.signal);
+    if (options.signal && options.signal.aborted) continue;
+    delayMs = Math.min(delayMs * 2, settings.maxDelayMs);
+    polls++;
+
+    try {
+      if (stats) stats.requests++;
+      const statusResponse = await axios.get(
+        `${projectEndpoint}/threads/${threadId}/runs/${run.id}?api-version=v1`,
+        { headers, timeout: 10000, signal: options.signal }
+      );
+      if (options.onProgress && statusResponse.data.status !== run.status) {
+        options.onProgress({ stage: 'agent-run', status: statusResponse.data.status });
+      }
+      run = statusResponse.data;
+      console.log(`⏳ Run status: ${run.status} (poll ${polls})`);
+    } catch (error) {
+      if (isCancelledError(error)) continue; // cancel the run on the next pass
+      if (!isRetryableError(error)) throw error;
+      if (stats) stats.retries++;
+      console.warn(`⚠️ Run status poll failed, polling again: ${error.message}`);
+    }
+  }
+
+  return { run, polls, timedOut: false, aborted: false };
+}
+
+// Why a finished run produced no answer, in words the plugin user can act on
+function describeFoundryRunFailure(report, deadlineSeconds) {
+  if (report.cancelled && report.status !== 'requires_action') {
+    return `Agent run did not finish within ${deadlineSeconds}s and was cancelled`;
+  }
+  switch (report.status) {
+    case 'requires_action':
+      return `Agent run stopped waiting for tool outputs this plugin cannot provide (${(report.requiredTools || []).join(', ')}); remove client-side function tools from the agent`;
+    case 'failed':
+      return `Agent run failed: ${report.lastError ? `${report.lastError.message} (${report.lastError.code})` : 'Unknown error'}`;
+    case 'cancelled':
+      return 'Agent run was cancelled before it finished';
+    case 'expired':
+      return 'Agent run expired before it finished';
+    case 'incomplete':
+      return `Agent run ended incomplete${report.incompleteReason ? `: ${report.incompleteReason}` : ''}`;
+    default:
+      return `Agent run ended with unexpected status "${report.status}"`;
+  }
+}
+
+// Metadata marker on conversation threads, so listing and deleting only ever touch the plugin's own threads
+const FOUNDRY_THREAD_SOURCE = 'figma-ai-chat-request';
+
+// Element list shared by the first analysis prompt and follow-ups
+function describeElementsForAgent(elementsData) {
+  return elementsData.map(el => `• Element "${el.name}" (ID: ${el.id})${describeElementHierarchy(el)}
+  - Type: ${el.type}
+  - Size: ${el.width}×${el.height} pixels
+  - Style: ${describeElementStyle(el)}`).join('\n');
+}
+
+// First message of a thread: the full analysis request, plus what the designer asked for, if anything
+function buildFoundryAnalysisMessage(elementsData, analysisType, request) {
+  const prompt = `I am a UX/UI designer working in Figma and I need help analyzing design elements for improvement suggestions. This is a legitimate design task for professional work.
+
+Here are the Figma design elements I'm working with:
+
+${describeElementsForAgent(elementsData)}
+
+Please help me improve these design elements by providing specific, actionable suggestions. ${ANALYSIS_TYPES[getAnalysisType(analysisType)].focus}
+
+${buildAnalysisRules(analysisType)}
+
+Please provide practical suggestions that I can implement in Figma, such as:
+- Specific color values (RGB or hex codes)
+- Font size adjustments (in pixels)
+- Spacing and positioning changes
+- Alignment improvements
+
+Reply with a single JSON code block in this exact format, using the element IDs listed above:
+${buildSuggestionSchema(analysisType)}`;
+  return request ? `${prompt}\n\n${buildIntentInstructions(request)}` : prompt;
+}
+
+// Follow-up on an existing thread ("make it warmer", "only the buttons"); the agent keeps the earlier
+// turns, so only the designer's words and the elements as they are now (after applied changes) are sent
+function buildFoundryFollowUpMessage(elementsData, analysisType, request) {
+  return `${request ? `Follow-up from the designer: "${request}"` : 'Please analyze the selection again.'}
+
+The selected elements as they are now, including any suggestions already applied:
+
+${describeElementsForAgent(elementsData)}
+
+Answer using our conversation so far and only suggest changes to the elements listed above.
+
+${buildAnalysisRules(analysisType)}
+
+Reply with a single JSON code block in this exact format, using the element IDs listed above:
+${buildSuggestionSchema(analysisType)}`;
+}
+
+// The fileKey as stored in thread metadata, which caps values at 512 characters
+function toThreadFileKey(fileKey) {
+  return String(fileKey || '').substring(0, 512);
+}
+
+// Whether a thread was created by this plugin for the given Figma file
+function isFoundryThreadForFile(thread, fileKey) {
+  return Boolean(thread && thread.metadata?.source === FOUNDRY_THREAD_SOURCE &&
+    thread.metadata.fileKey === toThreadFileKey(fileKey));
+}
+
+// A thread's details, or null when it does not exist (any more)
+async function getFoundryThread(projectEndpoint, headers, threadId, signal) {
+  try {
+    const response = await axios.get(
+      `${projectEndpoint}/threads/${encodeURIComponent(threadId)}?api-version=v1`,
+      { headers, timeout: 30000, signal }
+    );
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+// Conversation threads are tagged with the Figma file and selection they belong to (metadata values are strings).
+// The designer's own words stay in the thread's messages and are never copied into the listable metadata.
+async function createFoundryThread(projectEndpoint, headers, conversation, signal) {
+  console.log('📝 Creating thread...');
+  const metadata = conversation ? {
+    source: FOUNDRY_THREAD_SOURCE,
+    fileKey: toThreadFileKey(conversation.fileKey),
+    selectionKey: String(conversation.selectionKey || '').substring(0, 512)
+  } : undefined;
+  const threadResponse = await axios.post(
+    `${projectEndpoint}/threads?api-version=v1`,
+    metadata ? { metadata } : {},
+    { headers, timeout: 30000, signal }
+  );
+  console.log(`✅ Thread created: ${threadResponse.data.id}`);
+  return threadResponse.data.id;
+}
+
+function postFoundryMessage(projectEndpoint, threadId, headers, content, signal) {
+  return axios.post(
+    `${projectEndpoint}/threads/${threadId}/messages?api-version=v1`,
+    {
+      role: 'user',
+      content: content
+    },
+    { headers, timeout: 30000, signal }
+  );
+}
+
+// Pages of 100 threads to walk when listing; older threads than that are left out
+const FOUNDRY_THREAD_LIST_MAX_PAGES = 20;
+
+// Conversation threads this plugin created for one Figma file, newest first. The agent API lists every
+// thread in the project, so this pages through them (`after` cursor) rather than filtering a single page.
+async function listFoundryThreads(projectEndpoint, accessToken, fileKey) {
+  const headers = { 'Authorization': `Bearer ${accessToken}` };
+  const threads = [];
+  let after = null;
+
+  for (let page = 0; page < FOUNDRY_THREAD_LIST_MAX_PAGES; page++) {
+    const cursor = after ? `&after=${encodeURIComponent(after)}` : '';
+    const response = await axios.get(
+      `${projectEndpoint}/threads?api-version=v1&order=desc&limit=100${cursor}`,
+      { headers, timeout: 30000 }
+    );
+    const data = response.data.data || [];
+    threads.push(...data
+      .filter(thread => isFoundryThreadForFile(thread, fileKey))
+      .map(thread => ({
+        id: thread.id,
+        createdAt: new Date(thread.created_at * 1000).toISOString(),
+        selectionKey: thread.metadata.selectionKey || null
+      })));
+
+    after = response.data.last_id || (data.length ? data[data.length - 1].id : null);
+    if (!response.data.has_more || !after) break;
+  }
+
+  return threads;
+}
+
+// Delete a conversation thread, refusing threads the plugin did not create for `fileKey`.
+// Resolves to false when it does not exist.
+async function deleteFoundryThread(projectEndpoint, accessToken, threadId, fileKey) {
+  const headers = { 'Authorization': `Bearer ${accessToken}` };
+  const threadUrl = `${projectEndpoint}/threads/${encodeURIComponent(threadId)}?api-version=v1`;
+
+  const thread = await getFoundryThread(projectEndpoint, headers, threadId);
+  if (!thread) return false;
 
-    if (run.status === 'failed') {
-      throw new Error(`Agent run failed: ${run.last_error?.message || 'Unknown error'}`);
+  if (!isFoundryThreadForFile(thread, fileKey)) {
+    const error = new Error(`Thread ${threadId} was not created by this plugin for this file`);
+    error.status = 403;
+    throw error;
+  }
+
+  await axios.delete(threadUrl, { headers, timeout: 30000 });
+  console.log(`🗑️ Conversation thread ${threadId} deleted`);
+  return true;
+}
+
+// The agent's prose around its JSON block, shown to the designer as the chat reply
+function extractAgentReplyText(message) {
+  return String(message || '')
+    .replace(/```(?:json)?[\s\S]*?```/gi, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Azure AI Foundry Agent API Call (SDK-free REST API approach)
+// options: { stats, deadlineAt, conversation, intent, onProgress, signal } - deadlineAt (epoch ms) caps run polling
+// below the caller's timeout, and an aborted signal cancels the run. With `conversation` ({ threadId?, message?, fileKey?, selectionKey? }) the thread
+// is kept for follow-ups instead of deleted; its `message`, else `intent`, is the designer's request.
+// onProgress receives { stage: 'agent-run', status } whenever the run status changes.
+// Resolves to { message, source, threadId, runId, run, restarted } where `run` is the describeFoundryRun
+// report; errors for runs that did not complete carry the same report as `details`.
+async function callAzureAIFoundryAgent(elementsData, projectEndpoint, agentId, accessToken, analysisType, options = {}) {
+  let threadId = null;
+  let headers = null;
+  try {
+    console.log('🤖 Starting SDK-free Azure AI Foundry agent call...');
+    
+    // Validate inputs
+    if (!projectEndpoint || !agentId) {
+      throw new Error('Project endpoint and agent ID are required');
     }
 
-    console.log(`✅ Run completed with status: ${run.status}`);
+    // If no access token provided, try to get one (this would need to be configured)
+    if (!accessToken) {
+      throw new Error('Access token is required for Azure AI Foundry REST API calls');
+    }
+
+    headers = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${accessToken}`,
+      'User-Agent': 'Figma-Design-Plugin/1.0'
+    };
+
+    // Step 1: Create a thread, or continue the conversation's thread
+    const conversation = options.conversation || null;
+    const request = (conversation && conversation.message) || options.intent || '';
+    let restarted = false;
+    threadId = conversation && conversation.threadId;
+    // Only the plugin's own thread for this file is continued; a thread that is gone or belongs to
+    // another file is never written to or read from, the conversation starts over instead
+    if (threadId && !isFoundryThreadForFile(await getFoundryThread(projectEndpoint, headers, threadId, options.signal), conversation.fileKey)) {
+      console.log(`⚠️ Thread ${threadId} is missing or not this file's conversation, starting a new one`);
+      threadId = null;
+      restarted = true;
+    }
+    if (!threadId) {
+      threadId = await createFoundryThread(projectEndpoint, headers, conversation, options.signal);
+    }
+
+    // Step 2: Create a message in the thread - the full analysis prompt, or just the follow-up on an existing thread
+    console.log('💬 Creating message...');
+    let messageResponse;
+    try {
+      messageResponse = await postFoundryMessage(projectEndpoint, threadId, headers, threadId === (conversation && conversation.threadId)
+        ? buildFoundryFollowUpMessage(elementsData, analysisType, request)
+        : buildFoundryAnalysisMessage(elementsData, analysisType, request), options.signal);
+    } catch (messageError) {
+      // The conversation's thread was deleted or has expired - start over in a new one
+      if (!conversation || !conversation.threadId || messageError.response?.status !== 404) throw messageError;
+      console.log(`⚠️ Thread ${threadId} no longer exists, starting a new conversation`);
+      restarted = true;
+      threadId = await createFoundryThread(projectEndpoint, headers, conversation, options.signal);
+      messageResponse = await postFoundryMessage(projectEndpoint, threadId, headers,
+        buildFoundryAnalysisMessage(elementsData, analysisType, request), options.signal);
+    }
+    
+    console.log(`✅ Message created: ${messageResponse.data.id}`);
+
+    // Step 3: Create a run with the agent. This call is not aborted midway, so a run that was started
+    // is always known and polling can cancel it.
+    throwIfCancelled(options.signal);
+    console.log('🏃 Creating run...');
+    const runResponse = await axios.post(
+      `${projectEndpoint}/threads/${threadId}/runs?api-version=v1`,
+      {
+        assistant_id: agentId
+      },
+      { headers, timeout: 30000 }
+    );
+    
+    const runId = runResponse.data.id;
+    console.log(`✅ Run created: ${runId}`);
+
+    // Step 4: Poll for completion, cancelling the run if it outlives the deadline
+    const settings = getFoundryRunSettings(options);
+    const pollStartedAt = Date.now();
+    if (options.onProgress) options.onProgress({ stage: 'agent-run', status: runResponse.data.status });
+    const polled = await pollFoundryRun(projectEndpoint, threadId, runResponse.data, headers, settings, options);
+    let run = polled.run;
+
+    if (polled.aborted) {
+      const cancelledError = createCancelledError();
+      cancelledError.details = describeFoundryRun(run, null, {
+        polls: polled.polls,
+        durationMs: Date.now() - pollStartedAt,
+        cancelled: true
+      });
+      throw cancelledError;
+    }
+
+    // The plugin cannot run client-side tools, so a run waiting on them would only sit until it expires
+    let cancelled = polled.timedOut;
+    if (run.status === 'requires_action') {
+      cancelled = Boolean(await cancelFoundryRun(projectEndpoint, threadId, runId, headers));
+    }
+
+    const steps = await fetchFoundryRunSteps(projectEndpoint, threadId, runId, headers);
+    const runReport = describeFoundryRun(run, steps, {
+      polls: polled.polls,
+      durationMs: Date.now() - pollStartedAt,
+      cancelled
+    });
+    console.log(`📊 Run ${runReport.status} after ${runReport.polls} polls, ${runReport.usage ? runReport.usage.totalTokens : 'unknown'} tokens`);
+
+    if (run.status !== 'completed' || polled.timedOut) {
+      const runError = new Error(describeFoundryRunFailure(runReport, Math.round((settings.deadlineAt - pollStartedAt) / 1000)));
+      runError.details = runReport;
+      throw runError;
+    }
 
     // Step 5: Retrieve messages
     console.log('📥 Retrieving messages...');
     const messagesResponse = await axios.get(
       `${projectEndpoint}/threads/${threadId}/messages?api-version=v1&order=desc&limit=10`,
-      { headers, timeout: 30000 }
+      { headers, timeout: 30000, signal: options.signal }
     );
 
-    // Find the latest assistant message
+    // Collect every assistant message from this run - the agent may split its JSON across messages
     const messages = messagesResponse.data.data || [];
-    const assistantMessage = messages.find(m => m.role === 'assistant');
+    const assistantMessages = messages
+      .filter(m => m.role === 'assistant' && (!m.run_id || m.run_id === runId))
+      .reverse();
     
-    if (!assistantMessage) {
+    if (assistantMessages.length === 0) {
       throw new Error('No assistant response found');
     }
 
-    // Extract text content
-    const textContent = assistantMessage.content.find(c => c.type === 'text');
-    if (!textContent) {
+    // Extract text content, oldest message first
+    const textParts = assistantMessages
+      .flatMap(m => m.content || [])
+      .filter(c => c.type === 'text' && c.text?.value)
+      .map(c => c.text.value);
+    if (textParts.length === 0) {
       throw new Error('No text content in assistant response');
     }
 
-    const assistantResponse = textContent.text.value;
+    const assistantResponse = textParts.join('\n\n');
     console.log('✅ Got assistant response:', assistantResponse.substring(0, 200) + '...');
 
-    // Clean up the thread (optional)
-    try {
-      await axios.delete(`${projectEndpoint}/threads/${threadId}?api-version=v1`, { headers, timeout: 10000 });
-      console.log('🗑️ Thread cleaned up');
-    } catch (cleanupError) {
-      console.warn('⚠️ Could not clean up thread:', cleanupError.message);
-    }
-
     return {
       message: assistantResponse,
       source: 'Azure AI Foundry Agent (REST API)',
       threadId: threadId,
-      runId: runId
+      runId: runId,
+      run: runReport,
+      restarted: restarted
     };
 
   } catch (error) {
+    if (isCancelledError(error)) {
+      console.log('🛑 Azure AI Foundry agent call cancelled');
+      const cancelledError = createCancelledError();
+      cancelledError.details = error.details;
+      throw cancelledError;
+    }
+
     const errorMessage = error.response ? 
       `API Error ${error.response.status}: ${error.response.statusText} - ${JSON.stringify(error.response.data)}` : 
       error.message;
     
     console.error('❌ Azure AI Foundry Agent REST API error:', errorMessage);
-    throw new Error(`Azure AI Foundry Agent failed: ${errorMessage}`);
+    const agentError = new Error(`Azure AI Foundry Agent failed: ${errorMessage}`);
+    agentError.details = error.details;
+    agentError.retryable = isRetryableError(error);
+    throw agentError;
+  } finally {
+    // Clean up one-off threads - also after failed runs, once their steps have been read. Conversation threads stay.
+    if (threadId && !options.conversation) {
+      try {
+        await axios.delete(`${projectEndpoint}/threads/${threadId}?api-version=v1`, { headers, timeout: 10000 });
+        console.log('🗑️ Thread cleaned up');
+      } catch (cleanupError) {
+        console.warn('⚠️ Could not clean up thread:', cleanupError.message);
+      }
+    }
   }
 }
 
-// Alternative: Use Azure OpenAI directly as a simpler approach
-async function callAzureAIFoundryViaOpenAI(elementsData, endpoint, apiKey, deployment) {
+// Alternative: Use Azure OpenAI directly as a simpler approach; options.intent carries the designer's request
+async function callAzureAIFoundryViaOpenAI(elementsData, endpoint, apiKey, deployment, analysisType, options = {}) {
   try {
     console.log('🔄 Using Azure OpenAI as Azure AI Foundry alternative...');
     
@@ -377,28 +2032,20 @@ Guidelines:
 - Recommend alignment and spacing improvements
 - Consider accessibility and modern design principles
 
+${ANALYSIS_TYPES[getAnalysisType(analysisType)].focus}
+
+${buildAnalysisRules(analysisType)}
+
 Always respond with JSON in this format:
-{
-  "suggestions": [
-    {
-      "type": "color|size|text|alignment",
-      "elementId": "exact-figma-element-id",
-      "property": "fill|width|height|content|alignment",
-      "currentValue": "current value",
-      "suggestedValue": "new value",
-      "confidence": 0.8,
-      "reasoning": "detailed explanation"
-    }
-  ]
-}`;
+${buildSuggestionSchema(analysisType)}`;
 
     const userPrompt = `Analyze these Figma design elements and provide improvement suggestions:
 
-${elementsData.map(el => `- ID: ${el.id} | Type: ${el.type} | Name: "${el.name}" | Size: ${el.width}x${el.height}px | Color: ${el.fill || el.color || 'none'}`).join('\n')}
+${elementsData.map(el => `- ID: ${el.id} | Type: ${el.type} | Name: "${el.name}" | Size: ${el.width}x${el.height}px | Style: ${describeElementStyle(el)}${describeElementHierarchy(el)}`).join('\n')}
 
-Provide 2-4 specific suggestions that would improve the design's visual hierarchy and user experience.`;
+${options.intent ? buildIntentInstructions(options.intent) : 'Provide 2-4 specific suggestions that would improve the design\'s visual hierarchy and user experience.'}`;
 
-    const response = await axios.post(
+    const response = await postWithRetry(
       `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=2024-02-01`,
       {
         messages: [
@@ -414,7 +2061,8 @@ Provide 2-4 specific suggestions that would improve the design's visual hierarch
           'api-key': apiKey
         },
         timeout: 45000
-      }
+      },
+      { deadlineMs: 90000, ...options, label: 'Azure OpenAI (agent-style)' }
     );
 
     const assistantResponse = response.data.choices[0].message.content;
@@ -431,37 +2079,154 @@ Provide 2-4 specific suggestions that would improve the design's visual hierarch
   }
 }
 
-// Get Azure access token using client credentials flow (no SDK required)
-async function getAzureAccessToken(tenantId, clientId, clientSecret) {
-  try {
-    const tokenUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`;
-    
-    const params = new URLSearchParams();
-    params.append('client_id', clientId);
-    params.append('client_secret', clientSecret);
-    params.append('scope', 'https://ai.azure.com/.default'); // Correct audience for Azure AI Foundry
-    params.append('grant_type', 'client_credentials');
-
-    const response = await axios.post(tokenUrl, params, {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      timeout: 30000
-    });
+// Azure AD token cache shared by every request in this process, keyed by source, tenant, client and scope.
+// Tokens are refreshed in the background once they are within TOKEN_REFRESH_MARGIN_MS of expiry, and
+// concurrent refreshes for the same key share one request to the identity endpoint.
+const AZURE_AI_SCOPE = 'https://ai.azure.com/.default'; // Correct audience for Azure AI Foundry
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const tokenCache = new Map();
 
-    return response.data.access_token;
-  } catch (error) {
-    console.error('❌ Failed to get Azure access token:', error.message);
-    throw new Error(`Token acquisition failed: ${error.message}`);
+function refreshCachedToken(key, fetchToken) {
+  const entry = tokenCache.get(key) || {};
+  if (!entry.refreshing) {
+    entry.refreshing = fetchToken()
+      .then(({ token, expiresAt }) => {
+        tokenCache.set(key, { token, expiresAt, refreshing: null });
+        return token;
+      })
+      .catch(error => {
+        entry.refreshing = null;
+        throw error;
+      });
+    tokenCache.set(key, entry);
+  }
+  return entry.refreshing;
+}
+
+// fetchToken resolves to { token, expiresAt } (epoch ms)
+async function getCachedToken(key, fetchToken) {
+  const entry = tokenCache.get(key);
+  const now = Date.now();
+
+  if (entry && entry.token && now < entry.expiresAt) {
+    if (now >= entry.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      // Still valid: serve it and refresh in the background
+      refreshCachedToken(key, fetchToken).catch(error => {
+        console.warn('⚠️ Background token refresh failed, keeping current token:', error.message);
+      });
+    }
+    return entry.token;
   }
+
+  return refreshCachedToken(key, fetchToken);
+}
+
+// Get Azure access token using client credentials flow (no SDK required)
+async function getAzureAccessToken(tenantId, clientId, clientSecret, scope = AZURE_AI_SCOPE) {
+  return getCachedToken(`client-credentials:${tenantId}:${clientId}:${scope}`, async () => {
+    try {
+      const tokenUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`;
+      
+      const params = new URLSearchParams();
+      params.append('client_id', clientId);
+      params.append('client_secret', clientSecret);
+      params.append('scope', scope);
+      params.append('grant_type', 'client_credentials');
+
+      console.log('🔑 Requesting Azure AD token (client credentials)...');
+      const response = await postWithRetry(tokenUrl, params, {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 30000
+      }, { label: 'Azure AD token', deadlineMs: 30000 });
+
+      return {
+        token: response.data.access_token,
+        expiresAt: Date.now() + Number(response.data.expires_in || 3600) * 1000
+      };
+    } catch (error) {
+      console.error('❌ Failed to get Azure access token:', error.message);
+      throw new Error(`Token acquisition failed: ${error.message}`);
+    }
+  });
+}
+
+// Get a token from the host's managed identity: IDENTITY_ENDPOINT/IDENTITY_HEADER on App Service,
+// Functions and Container Apps, otherwise the VM instance metadata service.
+// Pass clientId for a user-assigned identity.
+async function getManagedIdentityToken(scope = AZURE_AI_SCOPE, clientId) {
+  return getCachedToken(`managed-identity::${clientId || 'system'}:${scope}`, async () => {
+    const resource = scope.replace(/\/\.default$/, '');
+    const identityEndpoint = process.env.IDENTITY_ENDPOINT;
+
+    try {
+      console.log('🔑 Requesting Azure AD token (managed identity)...');
+      const response = identityEndpoint
+        ? await axios.get(identityEndpoint, {
+          params: { resource, 'api-version': '2019-08-01', ...(clientId ? { client_id: clientId } : {}) },
+          headers: { 'X-IDENTITY-HEADER': process.env.IDENTITY_HEADER },
+          timeout: 10000
+        })
+        : await axios.get('http://169.254.169.254/metadata/identity/oauth2/token', {
+          params: { resource, 'api-version': '2018-02-01', ...(clientId ? { client_id: clientId } : {}) },
+          headers: { Metadata: 'true' },
+          timeout: 10000
+        });
+
+      // expires_on is epoch seconds; some hosts only return expires_in
+      const expiresAt = response.data.expires_on
+        ? Number(response.data.expires_on) * 1000
+        : Date.now() + Number(response.data.expires_in || 3600) * 1000;
+      return { token: response.data.access_token, expiresAt };
+    } catch (error) {
+      console.error('❌ Failed to get managed identity token:', error.message);
+      throw new Error(`Managed identity token acquisition failed: ${error.message}`);
+    }
+  });
 }
 
 module.exports = {
+  ANALYSIS_TYPES,
+  getAnalysisType,
+  describeElementStyle, // Compact, model-friendly description of an element's styling
+  getPrimaryFillHex,
+  normalizeIntent, // Designer's free-form request, trimmed and capped
+  buildAnalysisMessages,
   callAzureOpenAI,
+  callAzureOpenAIChat,
+  callOpenAICompatibleChat, // Generic /v1/chat/completions (local llama.cpp, Ollama, ...)
+  postWithRetry, // Retries with backoff and Retry-After for model calls
+  createCancelledError,
+  isCancelledError, // Aborted model or agent call (options.signal)
   callAzureAIFoundryAgent, // SDK-free REST API implementation
   callAzureAIFoundryViaOpenAI, // Alternative using Azure OpenAI with agent-style prompts
-  getAzureAccessToken, // Helper for authentication
+  listFoundryThreads, // Conversation threads created by the plugin
+  deleteFoundryThread,
+  extractAgentReplyText,
+  getAzureAccessToken, // Cached client-credentials token
+  getManagedIdentityToken, // Cached managed-identity token
   generateMockAIResponse,
+  PROVENANCE,
+  tagProvenance,
+  summarizeProvenance,
+  getAllowedProviders,
+  isMockFallbackEnabled,
+  getMockFallback, // Mock suggestions, or an error when FALLBACK_TO_MOCK=false
   parseColorValueForFigma,
-  parseNumericValueFromAI
+  parseNumericValueFromAI,
+  TYPOGRAPHY_PROPERTIES,
+  parseTypographyValueForFigma, // Typography suggestedValue -> value Figma accepts
+  APPEARANCE_PROPERTIES,
+  parseAppearanceValueForFigma, // Stroke, corner, opacity, blend and effect suggestedValue -> value Figma accepts
+  parseLayoutValueForFigma, // Auto-layout suggestedValue -> value Figma accepts
+  parseArrangeValueForFigma, // Multi-element match/gap suggestedValue -> value the plugin applies
+  getRetrySettings, // Retry count, backoff and total deadline for model calls
+  extractJsonPayload,
+  validateSuggestionResponse, // Strict suggestion schema check
+  parseValidatedSuggestions, // Validation with one model repair pass
+  streamValidatedSuggestions, // Emits valid suggestions from a streamed reply as they complete
+  createAzureOpenAIRepair,
+  createOpenAICompatibleRepair,
+  parseFoundryAgentResponse // JSON-block parser shared by server.js and the Functions app
 };
\ No newline at end of file
@@ -0,0 +1,19 @@
+const { corsHeaders, handleListThreads, handleDeleteThread } = require('../handlers');
+
+// GET /api/threads and DELETE /api/threads/{threadId} - the plugin's Foundry agent conversations
+module.exports = async function (context, req) {
+    let result;
+    if (req.method === 'OPTIONS') {
+        result = { status: 200, body: null };
+    } else if (req.method === 'DELETE') {
+        result = await handleDeleteThread(context.bindingData.threadId, req.query);
+    } else {
+        result = await handleListThreads(req.query);
+    }
+
+    context.res = {
+        status: result.status,
+        headers: corsHeaders(req.headers),
+        body: result.body
+    };
+};
@@ -1,6 +1,25 @@
 "use strict";
 // Main plugin code that runs in Figma's context
 // This handles communication with the UI and Figma API operations
+const ANALYSIS_TYPES = ['design-analysis', 'color-suggestion', 'layout-optimization'];
+const DEFAULT_API_BASE_URL = 'https://figma-plugin-api.politepebble-97923130.westus2.azurecontainerapps.io';
+// Request path for each provider; custom endpoints may override it in the config
+const PROVIDER_PATHS = {
+    'azure-openai': '/api/analyze-anonymous',
+    'azure-foundry': '/api/analyze-foundry',
+    'local-model': '/api/analyze',
+    'custom': '/api/analyze'
+};
+// Server-side provider to request explicitly, for plugin providers whose path alone does not pick one
+const SERVER_PROVIDERS = {
+    'local-model': 'openai-compatible'
+};
+// Plugin providers whose server keeps agent threads, so follow-ups can build on earlier turns
+const CONVERSATION_PROVIDERS = ['azure-foundry'];
+// clientStorage key for the thread of each file + selection, and how many of them to remember
+const CONVERSATION_STORAGE_KEY = 'conversation-threads';
+const MAX_STORED_CONVERSATIONS = 50;
+let activeAnalysis = null;
 // Show the plugin UI
 figma.showUI(__html__, {
     width: 400,
@@ -12,26 +31,67 @@ figma.ui.onmessage = async (msg) => {
     console.log('Received message:', msg);
     switch (msg.type) {
         case 'analyze-selection':
-            await handleAnalyzeSelection();
+            await handleAnalyzeSelection(msg.analysisType, msg.limits, msg.intent);
             break;
         case 'make-ai-request':
             await handleAIRequest(msg.request, msg.provider, msg.config);
             break;
+        case 'test-connection':
+            await handleTestConnection(msg.provider, msg.config);
+            break;
+        case 'new-conversation':
+            await handleNewConversation(msg.config);
+            break;
+        case 'stream-finished':
+            // A cancelled analysis can still report back; its reply must not become the conversation
+            if (!isActiveAnalysis(msg.requestId))
+                break;
+            activeAnalysis = null;
+            await rememberConversationReply(msg.conversation, msg.result);
+            break;
+        case 'cancel-analysis':
+            await handleCancelAnalysis();
+            break;
         case 'apply-suggestion':
             await handleApplySuggestion(msg.suggestion);
             break;
+        case 'apply-suggestions-batch':
+            await handleApplySuggestionsBatch(msg.suggestions, msg.threshold);
+            break;
+        case 'preview-suggestion':
+            await handlePreviewSuggestion(msg.suggestion);
+            break;
+        case 'keep-preview':
+            handleKeepPreview();
+            break;
+        case 'revert-preview':
+            revertActivePreview();
+            break;
+        case 'revert-change':
+            await revertChange(msg.changeId);
+            break;
+        case 'revert-all-changes':
+            await revertAllChanges();
+            break;
         case 'close-plugin':
             figma.closePlugin();
             break;
         case 'get-selection-data':
             sendSelectionData();
+            sendChangeLog();
+            await sendConversationState();
             break;
         default:
             console.log('Unknown message type:', msg.type);
     }
 };
+const DEFAULT_TRAVERSAL_LIMITS = {
+    maxDepth: 5,
+    maxNodes: 150
+};
 // Analyze selected elements and send to AI
-async function handleAnalyzeSelection() {
+// intent is the designer's typed request; without one the analysis type's general prompt is used
+async function handleAnalyzeSelection(analysisType, limits, intent) {
     const selection = figma.currentPage.selection;
     if (selection.length === 0) {
         figma.ui.postMessage({
@@ -40,35 +100,38 @@ async function handleAnalyzeSelection() {
         });
         return;
     }
-    // Collect all analyzable nodes (including children of frames)
-    const allNodes = [];
-    for (const node of selection) {
-        // Always include the selected node itself
-        allNodes.push(node);
-        // If it's a frame or group, also include its direct children
-        if ('children' in node && node.children) {
-            for (const child of node.children) {
-                // Only include visible, non-locked children
-                if (child.visible !== false && !child.locked) {
-                    allNodes.push(child);
-                }
-            }
-        }
-    }
+    const traversalLimits = resolveTraversalLimits(limits);
+    // Collect all analyzable nodes, walking down into nested frames and groups
+    const traversal = collectSelectionTree(selection, traversalLimits);
+    const truncated = traversal.depthLimited || traversal.nodeLimited;
     // Extract data from all collected elements
-    const elementData = allNodes.map(node => extractElementData(node));
+    const elementData = traversal.nodes.map(({ node, parentId, depth }) => (Object.assign(Object.assign({}, extractElementData(node)), { parentId,
+        depth })));
     // Send loading state to UI
     figma.ui.postMessage({
         type: 'analysis-started',
-        elementCount: allNodes.length
+        elementCount: elementData.length,
+        truncated: truncated,
+        depthLimited: traversal.depthLimited,
+        nodeLimited: traversal.nodeLimited,
+        limits: traversalLimits
     });
     // Prepare AI request
+    const designRequest = intent ? intent.trim() : '';
     const aiRequest = {
-        type: 'design-analysis',
+        type: ANALYSIS_TYPES.indexOf(analysisType) !== -1 ? analysisType : 'design-analysis',
+        intent: designRequest || undefined,
         data: {
             elements: elementData,
-            context: `Analyzing ${allNodes.length} elements (${selection.length} selected + children) from ${figma.editorType === 'figma' ? 'Figma design' : 'FigJam'}`
-        }
+            context: `Analyzing ${elementData.length} elements (${selection.length} selected + descendants up to depth ${traversalLimits.maxDepth}${truncated ? ', truncated' : ''}) from ${figma.editorType === 'figma' ? 'Figma design' : 'FigJam'}`,
+            hierarchy: {
+                maxDepth: traversalLimits.maxDepth,
+                maxNodes: traversalLimits.maxNodes,
+                truncated: truncated
+            }
+        },
+        // Continue this selection's conversation, if there is one; dropped for providers without threads
+        conversation: await buildConversationRequest(designRequest)
     };
     // Send to UI to get configuration, then make AI request
     figma.ui.postMessage({
@@ -76,6 +139,55 @@ async function handleAnalyzeSelection() {
         request: aiRequest
     });
 }
+// Use the UI's limits when they are sane positive numbers
+function resolveTraversalLimits(limits) {
+    const pick = (value, fallback) => {
+        const parsed = Math.floor(Number(value));
+        return parsed > 0 ? parsed : fallback;
+    };
+    return {
+        maxDepth: pick(limits === null || limits === void 0 ? void 0 : limits.maxDepth, DEFAULT_TRAVERSAL_LIMITS.maxDepth),
+        maxNodes: pick(limits === null || limits === void 0 ? void 0 : limits.maxNodes, DEFAULT_TRAVERSAL_LIMITS.maxNodes)
+    };
+}
+// Walk the selection breadth-first so that, when the node budget runs out,
+// the shallow structure is kept and the deepest details are dropped
+function collectSelectionTree(selection, limits) {
+    const queue = selection.map(node => ({ node, depth: 0 }));
+    const nodes = [];
+    const seen = new Set();
+    let depthLimited = false;
+    let nodeLimited = false;
+    while (queue.length > 0) {
+        const item = queue.shift();
+        // A node can be both selected and a descendant of another selected node
+        if (seen.has(item.node.id)) {
+            continue;
+        }
+        if (nodes.length >= limits.maxNodes) {
+            nodeLimited = true;
+            break;
+        }
+        seen.add(item.node.id);
+        nodes.push(item);
+        if (!('children' in item.node)) {
+            continue;
+        }
+        // Only include visible, non-locked children
+        const children = item.node.children.filter(child => child.visible !== false && !child.locked);
+        if (children.length === 0) {
+            continue;
+        }
+        if (item.depth >= limits.maxDepth) {
+            depthLimited = true;
+            continue;
+        }
+        for (const child of children) {
+            queue.push({ node: child, parentId: item.node.id, depth: item.depth + 1 });
+        }
+    }
+    return { nodes, depthLimited, nodeLimited };
+}
 // Extract relevant data from Figma nodes
 function extractElementData(node) {
     const baseData = {
@@ -94,17 +206,67 @@ function extractElementData(node) {
     // Add strokes if available
     if ('strokes' in node && node.strokes) {
         baseData.strokes = Array.isArray(node.strokes) ? node.strokes : [];
+        if ('strokeWeight' in node) {
+            baseData.strokeWeight = plainValue(node.strokeWeight);
+        }
     }
     // Add effects if available
     if ('effects' in node && node.effects) {
         baseData.effects = [...node.effects];
     }
+    if ('opacity' in node) {
+        baseData.opacity = node.opacity;
+    }
+    if ('cornerRadius' in node) {
+        baseData.cornerRadius = plainValue(node.cornerRadius);
+    }
     // Add text content if it's a text node
     if (node.type === 'TEXT' && 'characters' in node) {
         baseData.characters = node.characters;
+        baseData.textStyle = extractTextStyle(node);
+    }
+    // Add auto-layout settings for frames that use it
+    if ('layoutMode' in node && node.layoutMode !== 'NONE') {
+        baseData.layout = {
+            layoutMode: node.layoutMode,
+            itemSpacing: node.itemSpacing,
+            paddingTop: node.paddingTop,
+            paddingRight: node.paddingRight,
+            paddingBottom: node.paddingBottom,
+            paddingLeft: node.paddingLeft,
+            primaryAxisAlignItems: node.primaryAxisAlignItems,
+            counterAxisAlignItems: node.counterAxisAlignItems,
+            primaryAxisSizingMode: node.primaryAxisSizingMode,
+            counterAxisSizingMode: node.counterAxisSizingMode
+        };
+    }
+    const sizing = {
+        horizontal: getAxisSizing(node, 'horizontal'),
+        vertical: getAxisSizing(node, 'vertical'),
+        keepsAspectRatio: getProportionalScaling(node) !== null
+    };
+    if (sizing.horizontal !== 'FIXED' || sizing.vertical !== 'FIXED' || sizing.keepsAspectRatio) {
+        baseData.sizing = sizing;
     }
     return baseData;
 }
+function extractTextStyle(node) {
+    const fontName = node.fontName;
+    return {
+        fontFamily: fontName === figma.mixed ? 'mixed' : fontName.family,
+        fontStyle: fontName === figma.mixed ? 'mixed' : fontName.style,
+        fontSize: plainValue(node.fontSize),
+        lineHeight: plainValue(node.lineHeight),
+        letterSpacing: plainValue(node.letterSpacing),
+        textCase: String(plainValue(node.textCase)),
+        textDecoration: String(plainValue(node.textDecoration)),
+        textAlignHorizontal: node.textAlignHorizontal
+    };
+}
+// figma.mixed is a symbol and doesn't survive postMessage/JSON - send 'mixed' instead
+function plainValue(value) {
+    return value === figma.mixed ? 'mixed' : value;
+}
 // Apply AI suggestion to Figma element
 async function handleApplySuggestion(suggestion) {
     console.log('🎯 APPLYING SUGGESTION:', suggestion);
@@ -114,49 +276,15 @@ async function handleApplySuggestion(suggestion) {
     console.log('🎯 Current value:', suggestion.currentValue);
     console.log('🎯 Suggested value:', suggestion.suggestedValue);
     try {
-        const node = figma.getNodeById(suggestion.elementId);
-        if (!node) {
-            console.log('❌ Node not found with ID:', suggestion.elementId);
-            figma.ui.postMessage({
-                type: 'error',
-                message: `Element with ID ${suggestion.elementId} not found.`
-            });
-            return;
-        }
-        console.log('✅ Found node:', node.name, 'type:', node.type);
-        // Check if node is a SceneNode (not PageNode or DocumentNode)
-        if (!('type' in node) || node.type === 'PAGE' || node.type === 'DOCUMENT') {
-            figma.ui.postMessage({
-                type: 'error',
-                message: 'Cannot modify this type of element.'
-            });
+        // An unanswered preview is discarded before anything else is applied
+        revertActivePreview();
+        const sceneNode = getSuggestionTarget(suggestion);
+        if (!sceneNode) {
             return;
         }
-        const sceneNode = node;
-        // Apply different types of suggestions
-        switch (suggestion.type) {
-            case 'color':
-                await applyColorSuggestion(sceneNode, suggestion);
-                break;
-            case 'position':
-                await applyPositionSuggestion(sceneNode, suggestion);
-                break;
-            case 'size':
-                await applySizeSuggestion(sceneNode, suggestion);
-                break;
-            case 'text':
-                await applyTextSuggestion(sceneNode, suggestion);
-                break;
-            case 'alignment':
-                await applyGeneralSuggestion(sceneNode, suggestion);
-                break;
-            case 'general':
-                await applyGeneralSuggestion(sceneNode, suggestion);
-                break;
-            default:
-                console.log('❌ Unknown suggestion type:', suggestion.type, '- Attempting general handler');
-                await applyGeneralSuggestion(sceneNode, suggestion);
-        }
+        const before = captureSuggestionSnapshots(sceneNode, suggestion);
+        await applySuggestionToNode(sceneNode, suggestion);
+        recordChange(sceneNode, suggestion, before);
         figma.ui.postMessage({
             type: 'suggestion-applied',
             suggestion: suggestion
@@ -175,6 +303,527 @@ async function handleApplySuggestion(suggestion) {
         });
     }
 }
+// Resolve the scene node a suggestion targets, reporting to the UI when it can't be changed
+function getSuggestionTarget(suggestion) {
+    try {
+        return resolveSuggestionTarget(suggestion);
+    }
+    catch (error) {
+        figma.ui.postMessage({
+            type: 'error',
+            message: error.message
+        });
+        return null;
+    }
+}
+// Resolve the scene node a suggestion targets, throwing when it can't be changed
+function resolveSuggestionTarget(suggestion) {
+    const node = figma.getNodeById(suggestion.elementId);
+    if (!node) {
+        console.log('❌ Node not found with ID:', suggestion.elementId);
+        throw new Error(`Element with ID ${suggestion.elementId} not found.`);
+    }
+    console.log('✅ Found node:', node.name, 'type:', node.type);
+    // Check if node is a SceneNode (not PageNode or DocumentNode)
+    if (!('type' in node) || node.type === 'PAGE' || node.type === 'DOCUMENT') {
+        throw new Error('Cannot modify this type of element.');
+    }
+    return node;
+}
+// Apply every suggestion at or above the confidence threshold in one pass.
+// When several suggestions target the same element and property only the most
+// confident one is applied; the rest are reported as skipped. Suggestions already
+// in the change log (applied, or a kept preview) are skipped rather than applied twice.
+async function handleApplySuggestionsBatch(suggestions, threshold) {
+    console.log(`📦 APPLYING BATCH: ${suggestions.length} suggestions, threshold ${threshold}`);
+    revertActivePreview();
+    const results = [];
+    const claimed = new Map();
+    // Highest confidence first so it wins any conflict
+    const order = suggestions
+        .map((suggestion, index) => ({ suggestion, index, confidence: parseConfidence(suggestion.confidence) }))
+        .sort((a, b) => b.confidence - a.confidence);
+    for (const { suggestion, index, confidence } of order) {
+        if (isSuggestionApplied(suggestion)) {
+            results.push({ index, status: 'skipped', reason: 'Already applied' });
+            continue;
+        }
+        if (confidence < threshold) {
+            results.push({ index, status: 'skipped', reason: `Confidence ${Math.round(confidence * 100)}% is below the threshold` });
+            continue;
+        }
+        const key = `${Array.isArray(suggestion.elementIds) ? suggestion.elementIds.join(',') : suggestion.elementId}:${suggestion.property}`;
+        if (claimed.has(key)) {
+            results.push({ index, status: 'skipped', reason: `Conflicts with suggestion #${claimed.get(key) + 1} on the same element and property` });
+            continue;
+        }
+        claimed.set(key, index);
+        try {
+            const sceneNode = resolveSuggestionTarget(suggestion);
+            const before = captureSuggestionSnapshots(sceneNode, suggestion);
+            await applySuggestionToNode(sceneNode, suggestion);
+            if (recordChange(sceneNode, suggestion, before)) {
+                results.push({ index, status: 'applied' });
+            }
+            else {
+                results.push({ index, status: 'failed', reason: 'No change was made - unsupported property or value' });
+            }
+        }
+        catch (error) {
+            results.push({ index, status: 'failed', reason: error.message || String(error) });
+        }
+    }
+    results.sort((a, b) => a.index - b.index);
+    const count = (status) => results.filter(result => result.status === status).length;
+    figma.ui.postMessage({
+        type: 'batch-applied',
+        results: results,
+        summary: {
+            applied: count('applied'),
+            skipped: count('skipped'),
+            failed: count('failed')
+        }
+    });
+}
+// Suggestions carry no ID, so one counts as applied when an identical suggestion is in the change log;
+// reverting the change removes it from the log and makes the suggestion applicable again
+function isSuggestionApplied(suggestion) {
+    const key = JSON.stringify(suggestion);
+    return changeLog.some(change => JSON.stringify(change.suggestion) === key);
+}
+// Model confidences arrive as 0-1 numbers, percentages or strings
+function parseConfidence(value) {
+    const confidence = typeof value === 'number' ? value : parseFloat(value);
+    if (isNaN(confidence)) {
+        return 0;
+    }
+    return confidence > 1 ? confidence / 100 : confidence;
+}
+// Route a suggestion to the handler for its type
+async function applySuggestionToNode(sceneNode, suggestion) {
+    switch (suggestion.type) {
+        case 'color':
+            await applyColorSuggestion(sceneNode, suggestion);
+            break;
+        case 'position':
+            await applyPositionSuggestion(sceneNode, suggestion);
+            break;
+        case 'size':
+            await applySizeSuggestion(sceneNode, suggestion);
+            break;
+        case 'text':
+            await applyTextSuggestion(sceneNode, suggestion);
+            break;
+        case 'stroke':
+            await applyStrokeSuggestion(sceneNode, suggestion);
+            break;
+        case 'appearance':
+            await applyAppearanceSuggestion(sceneNode, suggestion);
+            break;
+        case 'effect':
+            await applyEffectSuggestion(sceneNode, suggestion);
+            break;
+        case 'layout':
+            await applyLayoutSuggestion(sceneNode, suggestion);
+            break;
+        case 'arrange':
+            await applyArrangeSuggestion(sceneNode, suggestion);
+            break;
+        case 'alignment':
+            await applyGeneralSuggestion(sceneNode, suggestion);
+            break;
+        case 'general':
+            await applyGeneralSuggestion(sceneNode, suggestion);
+            break;
+        default:
+            console.log('❌ Unknown suggestion type:', suggestion.type, '- Attempting general handler');
+            await applyGeneralSuggestion(sceneNode, suggestion);
+    }
+}
+// Properties the apply handlers can change, captured before a preview so it can be reverted
+const SNAPSHOT_PROPERTIES = [
+    'fills',
+    'x',
+    'y',
+    'width',
+    'height',
+    'characters',
+    'textAlignHorizontal',
+    'textAlignVertical',
+    'layoutAlign',
+    'layoutGrow',
+    'textAutoResize',
+    'strokes',
+    'strokeWeight',
+    // Per side and per corner, so revert also restores nodes whose weights or radii differ
+    'strokeTopWeight',
+    'strokeRightWeight',
+    'strokeBottomWeight',
+    'strokeLeftWeight',
+    'topLeftRadius',
+    'topRightRadius',
+    'bottomLeftRadius',
+    'bottomRightRadius',
+    'opacity',
+    'blendMode',
+    'effects',
+    'layoutMode',
+    'itemSpacing',
+    'paddingTop',
+    'paddingRight',
+    'paddingBottom',
+    'paddingLeft',
+    'primaryAxisAlignItems',
+    'counterAxisAlignItems',
+    'primaryAxisSizingMode',
+    'counterAxisSizingMode'
+];
+// Typography captured per styled character range, since text nodes can mix fonts, sizes and spacing
+const TEXT_STYLE_FIELDS = [
+    'fontName',
+    'fontSize',
+    'lineHeight',
+    'letterSpacing',
+    'textCase',
+    'textDecoration'
+];
+let activePreview = null;
+let changeLog = [];
+let nextChangeId = 1;
+// Capture the target node and its descendants, since color, text and alignment
+// handlers may write to children of composite elements
+function captureSnapshots(node) {
+    const nodes = [node];
+    if ('findAll' in node) {
+        nodes.push(...node.findAll());
+    }
+    return nodes.map(captureNodeSnapshot);
+}
+// Snapshots of everything a suggestion may change: its target, or every element an arrange suggestion moves
+function captureSuggestionSnapshots(node, suggestion) {
+    if (suggestion.type !== 'arrange') {
+        return captureSnapshots(node);
+    }
+    const snapshots = [];
+    for (const target of resolveArrangeTargets(suggestion)) {
+        snapshots.push(...captureSnapshots(target));
+    }
+    return snapshots;
+}
+function captureNodeSnapshot(node) {
+    const properties = {};
+    for (const property of SNAPSHOT_PROPERTIES) {
+        if (!(property in node)) {
+            continue;
+        }
+        const value = node[property];
+        if (value === figma.mixed) {
+            continue;
+        }
+        // Paints and other arrays are frozen Figma objects - store plain copies
+        properties[property] = typeof value === 'object' && value !== null ? JSON.parse(JSON.stringify(value)) : value;
+    }
+    if (node.type === 'TEXT') {
+        properties.textStyleRanges = captureTextStyleRanges(node);
+    }
+    // Instances cannot reorder their children, so there is nothing to restore
+    if ('layoutMode' in node && node.type !== 'INSTANCE') {
+        properties.childIds = node.children.map(child => child.id);
+    }
+    return { nodeId: node.id, properties };
+}
+function captureTextStyleRanges(node) {
+    return node.getStyledTextSegments(TEXT_STYLE_FIELDS).map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        fontName: { family: segment.fontName.family, style: segment.fontName.style },
+        fontSize: segment.fontSize,
+        lineHeight: JSON.parse(JSON.stringify(segment.lineHeight)),
+        letterSpacing: JSON.parse(JSON.stringify(segment.letterSpacing)),
+        textCase: segment.textCase,
+        textDecoration: segment.textDecoration
+    }));
+}
+// Put captured typography back range by range; needs the node's current fonts and the captured ones loaded
+function restoreTextStyleRanges(node, ranges) {
+    if (JSON.stringify(captureTextStyleRanges(node)) === JSON.stringify(ranges)) {
+        return;
+    }
+    const length = node.characters.length;
+    for (const range of ranges) {
+        if (range.end > length) {
+            continue;
+        }
+        node.setRangeFontName(range.start, range.end, range.fontName);
+        node.setRangeFontSize(range.start, range.end, range.fontSize);
+        node.setRangeLineHeight(range.start, range.end, range.lineHeight);
+        node.setRangeLetterSpacing(range.start, range.end, range.letterSpacing);
+        node.setRangeTextCase(range.start, range.end, range.textCase);
+        node.setRangeTextDecoration(range.start, range.end, range.textDecoration);
+    }
+}
+// Load every font a snapshot's text nodes use now and used when captured, so writing it back needs no await
+async function loadSnapshotFonts(snapshots) {
+    const loads = [];
+    for (const snapshot of snapshots) {
+        const node = figma.getNodeById(snapshot.nodeId);
+        if (!node || node.type !== 'TEXT') {
+            continue;
+        }
+        loads.push(loadFontsForTextNode(node));
+        for (const range of snapshot.properties.textStyleRanges || []) {
+            loads.push(figma.loadFontAsync(range.fontName));
+        }
+    }
+    await Promise.all(loads);
+}
+// Write captured values back onto the node they were taken from
+async function restoreNodeSnapshot(snapshot) {
+    await loadSnapshotFonts([snapshot]);
+    writeNodeSnapshot(snapshot);
+}
+// Synchronous part of a restore - every font involved must already be loaded (see loadSnapshotFonts)
+function writeNodeSnapshot(snapshot) {
+    const node = figma.getNodeById(snapshot.nodeId);
+    if (!node) {
+        console.log('⚠️ Cannot restore removed node:', snapshot.nodeId);
+        return;
+    }
+    const props = snapshot.properties;
+    const target = node;
+    if (props.characters !== undefined && node.type === 'TEXT' && node.characters !== props.characters) {
+        node.characters = props.characters;
+    }
+    // After the characters, so the captured ranges line up with the text again
+    if (props.textStyleRanges !== undefined && node.type === 'TEXT') {
+        restoreTextStyleRanges(node, props.textStyleRanges);
+    }
+    if (props.childIds !== undefined && 'children' in node) {
+        restoreChildOrder(node, props.childIds);
+    }
+    // Before the size and the auto-layout settings, which only apply while auto-layout is on
+    if (props.layoutMode !== undefined && target.layoutMode !== props.layoutMode) {
+        target.layoutMode = props.layoutMode;
+    }
+    if ((props.width !== undefined || props.height !== undefined) && 'resize' in node) {
+        const width = props.width !== undefined ? props.width : target.width;
+        const height = props.height !== undefined ? props.height : target.height;
+        if (target.width !== width || target.height !== height) {
+            target.resize(width, height);
+        }
+    }
+    for (const property of Object.keys(props)) {
+        if (property === 'characters' || property === 'textStyleRanges' || property === 'width' || property === 'height' ||
+            property === 'childIds' || property === 'layoutMode') {
+            continue;
+        }
+        // A frame restored to no auto-layout keeps its spacing and padding, which only apply to auto-layout
+        if (target.layoutMode === 'NONE' && AUTO_LAYOUT_SETTINGS.indexOf(property) !== -1) {
+            continue;
+        }
+        if (JSON.stringify(target[property]) !== JSON.stringify(props[property])) {
+            target[property] = props[property];
+        }
+    }
+}
+// Put a frame's children back in their captured layer order
+function restoreChildOrder(node, childIds) {
+    if (JSON.stringify(node.children.map(child => child.id)) === JSON.stringify(childIds)) {
+        return;
+    }
+    childIds.forEach((id, index) => {
+        const child = node.children.find(candidate => candidate.id === id);
+        if (child && index < node.children.length) {
+            node.insertChild(index, child);
+        }
+    });
+}
+// Load every font used in a text node so its characters and styles can be edited
+async function loadFontsForTextNode(node) {
+    if (node.fontName !== figma.mixed) {
+        await figma.loadFontAsync(node.fontName);
+        return;
+    }
+    const fonts = node.getRangeAllFontNames(0, node.characters.length);
+    await Promise.all(fonts.map(font => figma.loadFontAsync(font)));
+}
+// Apply a suggestion temporarily, keeping the original properties for a revert
+async function handlePreviewSuggestion(suggestion) {
+    console.log('👀 PREVIEWING SUGGESTION:', suggestion);
+    try {
+        revertActivePreview();
+        const sceneNode = getSuggestionTarget(suggestion);
+        if (!sceneNode) {
+            return;
+        }
+        const snapshots = captureSuggestionSnapshots(sceneNode, suggestion);
+        // The original fonts are loaded up front, so the revert can run synchronously - even as the plugin closes
+        await loadSnapshotFonts(snapshots);
+        activePreview = { suggestion, snapshots };
+        try {
+            await applySuggestionToNode(sceneNode, suggestion);
+        }
+        catch (applyError) {
+            revertActivePreview();
+            throw applyError;
+        }
+        figma.ui.postMessage({
+            type: 'preview-applied',
+            suggestion: suggestion
+        });
+    }
+    catch (error) {
+        console.log('❌ SUGGESTION PREVIEW FAILED:', error);
+        figma.ui.postMessage({
+            type: 'error',
+            message: `Failed to preview ${suggestion.type} suggestion: ${error}`
+        });
+    }
+}
+// Keep the previewed change as a regular applied suggestion
+function handleKeepPreview() {
+    if (!activePreview) {
+        return;
+    }
+    const { suggestion, snapshots } = activePreview;
+    activePreview = null;
+    console.log('✅ Preview kept:', suggestion);
+    const node = figma.getNodeById(suggestion.elementId);
+    if (node) {
+        recordChange(node, suggestion, snapshots);
+    }
+    figma.ui.postMessage({
+        type: 'suggestion-applied',
+        suggestion: suggestion
+    });
+}
+// Put back the properties captured when the preview started. Synchronous: the original fonts were loaded
+// when the preview began and the apply handler loaded any new ones.
+function revertActivePreview() {
+    if (!activePreview) {
+        return;
+    }
+    const { suggestion, snapshots } = activePreview;
+    activePreview = null;
+    for (const snapshot of snapshots) {
+        try {
+            writeNodeSnapshot(snapshot);
+        }
+        catch (error) {
+            console.log('❌ Failed to restore node', snapshot.nodeId, error.message);
+        }
+    }
+    console.log('↩️ Preview reverted:', suggestion);
+    figma.ui.postMessage({
+        type: 'preview-reverted',
+        suggestion: suggestion
+    });
+}
+// Log an applied suggestion with only the properties it actually changed.
+// Returns false when the suggestion left the node untouched.
+function recordChange(node, suggestion, before) {
+    const changedBefore = [];
+    const changedAfter = [];
+    for (const snapshot of before) {
+        const current = figma.getNodeById(snapshot.nodeId);
+        if (!current) {
+            continue;
+        }
+        const after = captureNodeSnapshot(current);
+        const changed = Object.keys(snapshot.properties).filter(property => JSON.stringify(snapshot.properties[property]) !== JSON.stringify(after.properties[property]));
+        if (changed.length === 0) {
+            continue;
+        }
+        changedBefore.push({ nodeId: snapshot.nodeId, properties: pickProperties(snapshot.properties, changed) });
+        changedAfter.push({ nodeId: snapshot.nodeId, properties: pickProperties(after.properties, changed) });
+    }
+    if (changedBefore.length === 0) {
+        console.log('ℹ️ Suggestion made no changes - nothing to log');
+        return false;
+    }
+    changeLog.push({
+        id: nextChangeId++,
+        suggestion,
+        nodeId: node.id,
+        nodeName: Array.isArray(suggestion.elementIds) && suggestion.elementIds.length > 1
+            ? `${node.name} + ${suggestion.elementIds.length - 1} more`
+            : node.name,
+        before: changedBefore,
+        after: changedAfter,
+        appliedAt: Date.now()
+    });
+    sendChangeLog();
+    return true;
+}
+function pickProperties(properties, keys) {
+    const picked = {};
+    for (const key of keys) {
+        picked[key] = properties[key];
+    }
+    return picked;
+}
+// Restore the "before" values of a logged change and drop it from the log
+async function revertChange(changeId) {
+    const entry = changeLog.find(change => change.id === changeId);
+    if (!entry) {
+        figma.ui.postMessage({
+            type: 'error',
+            message: 'That change is no longer in the history.'
+        });
+        return;
+    }
+    revertActivePreview();
+    for (const snapshot of entry.before) {
+        try {
+            await restoreNodeSnapshot(snapshot);
+        }
+        catch (error) {
+            console.log('❌ Failed to restore node', snapshot.nodeId, error.message);
+        }
+    }
+    changeLog = changeLog.filter(change => change.id !== changeId);
+    console.log('↩️ Reverted change:', entry.suggestion);
+    figma.ui.postMessage({
+        type: 'success',
+        message: `Reverted ${entry.suggestion.type} change on "${entry.nodeName}"`
+    });
+    sendChangeLog();
+}
+// Revert every logged change, newest first so overlapping edits unwind in order
+async function revertAllChanges() {
+    revertActivePreview();
+    const count = changeLog.length;
+    for (const entry of [...changeLog].reverse()) {
+        for (const snapshot of entry.before) {
+            try {
+                await restoreNodeSnapshot(snapshot);
+            }
+            catch (error) {
+                console.log('❌ Failed to restore node', snapshot.nodeId, error.message);
+            }
+        }
+    }
+    changeLog = [];
+    figma.ui.postMessage({
+        type: 'success',
+        message: `Reverted ${count} change${count !== 1 ? 's' : ''}`
+    });
+    sendChangeLog();
+}
+// Send a summary of the change log to the UI
+function sendChangeLog() {
+    figma.ui.postMessage({
+        type: 'change-log',
+        changes: changeLog.map(entry => ({
+            id: entry.id,
+            type: entry.suggestion.type,
+            property: entry.suggestion.property,
+            suggestedValue: entry.suggestion.suggestedValue,
+            nodeName: entry.nodeName,
+            appliedAt: entry.appliedAt
+        }))
+    });
+}
 // Apply color suggestions
 async function applyColorSuggestion(node, suggestion) {
     console.log('🎨 Applying color suggestion:', suggestion);
@@ -240,126 +889,811 @@ async function applyColorSuggestion(node, suggestion) {
 }
 // Apply position suggestions
 async function applyPositionSuggestion(node, suggestion) {
+    const position = suggestion.suggestedValue;
+    if (typeof position !== 'number' || !isFinite(position)) {
+        throw new Error(`Invalid position: ${JSON.stringify(position)}`);
+    }
     if ('x' in node && 'y' in node) {
         if (suggestion.property === 'x') {
-            node.x = suggestion.suggestedValue;
+            node.x = position;
         }
         else if (suggestion.property === 'y') {
-            node.y = suggestion.suggestedValue;
+            node.y = position;
         }
     }
 }
-// Apply size suggestions
+// Apply size suggestions according to the node's sizing model: auto-layout fill and hug, text
+// auto-resize, min/max sizes, locked aspect ratios and the node's own constraints in its parent.
+// Vectors, icons and images scale proportionally; a change the parent layout controls is refused.
 async function applySizeSuggestion(node, suggestion) {
-    console.log('📐 Applying size suggestion:', suggestion);
+    console.log('📐 Applying size suggestion:', suggestion.property, suggestion.suggestedValue);
     console.log('📐 Node type:', node.type);
-    console.log('📐 Current dimensions:', 'width' in node ? `${node.width} x ${node.height}` : 'No dimensions');
-    console.log('📐 Has resize method:', 'resize' in node);
-    // Parse the suggested value to ensure it's a number
     const size = typeof suggestion.suggestedValue === 'number' ?
         suggestion.suggestedValue : parseFloat(suggestion.suggestedValue);
-    console.log('📐 Parsed size value:', size);
     if (isNaN(size) || size <= 0) {
-        console.log('❌ Invalid size value:', suggestion.suggestedValue, 'parsed to:', size);
-        return;
+        throw new Error(`Invalid size: ${suggestion.suggestedValue}`);
     }
-    if ('width' in node && 'height' in node && 'resize' in node) {
-        const resizableNode = node;
-        try {
-            console.log('📐 About to resize...');
-            if (suggestion.property === 'width') {
-                console.log(`📐 Resizing width from ${resizableNode.width} to ${size}, keeping height ${resizableNode.height}`);
-                resizableNode.resize(size, resizableNode.height);
-                console.log('✅ Width resized successfully');
-            }
-            else if (suggestion.property === 'height') {
-                console.log(`📐 Resizing height from ${resizableNode.height} to ${size}, keeping width ${resizableNode.width}`);
-                resizableNode.resize(resizableNode.width, size);
-                console.log('✅ Height resized successfully');
-            }
-            else {
-                console.log('❌ Unknown size property:', suggestion.property);
-            }
+    if (suggestion.property !== 'width' && suggestion.property !== 'height') {
+        throw new Error(`Unsupported size property: ${suggestion.property}`);
+    }
+    if (!('resize' in node)) {
+        throw new Error(`${node.type} elements cannot be resized`);
+    }
+    const resizable = node;
+    const axis = suggestion.property === 'width' ? 'horizontal' : 'vertical';
+    const current = { width: resizable.width, height: resizable.height };
+    console.log(`📐 Current dimensions: ${current.width} x ${current.height}`);
+    if (node.type === 'LINE' && axis === 'vertical') {
+        throw new Error('Lines have no height - change the stroke weight instead');
+    }
+    // A side of 0 gives no scale factor, so such a node is resized on the requested side only
+    const currentSize = axis === 'horizontal' ? current.width : current.height;
+    const proportional = getProportionalScaling(node);
+    const scaling = currentSize > 0 ? proportional : null;
+    if (proportional && !scaling) {
+        console.log(`📐 "${node.name}" has no ${suggestion.property} to scale from - resizing that side only`);
+    }
+    const axes = scaling ? ['horizontal', 'vertical'] : [axis];
+    for (const changedAxis of axes) {
+        if (getAxisSizing(node, changedAxis) === 'FILL') {
+            throw new Error(`"${node.name}" fills its auto-layout parent's ${changedAxis === 'horizontal' ? 'width' : 'height'} - resize the parent instead`);
         }
-        catch (error) {
-            console.log('❌ Resize failed:', error.message);
+    }
+    const parentLayout = getConstraintLayout(node);
+    if (node.type === 'TEXT') {
+        await loadFontsForTextNode(node);
+    }
+    if (scaling) {
+        const limits = axes.map(changedAxis => getScaleLimits(resizable, changedAxis));
+        const requested = size / currentSize;
+        const scale = Math.min(Math.max(requested, ...limits.map(limit => limit.min)), ...limits.map(limit => limit.max));
+        if (scale !== requested) {
+            console.log(`📐 Scale ${requested.toFixed(3)} clamped to ${scale.toFixed(3)} by min/max size`);
+        }
+        for (const changedAxis of axes) {
+            releaseHugSizing(resizable, changedAxis);
         }
+        if (scaling === 'rescale') {
+            // Like Figma's scale tool: strokes, effects and children scale with the shape
+            resizable.rescale(scale);
+        }
+        else {
+            resizable.resize(current.width * scale, current.height * scale);
+        }
+        console.log(`✅ Scaled proportionally (${scaling}) by ${scale.toFixed(3)} to ${resizable.width} x ${resizable.height}`);
     }
     else {
-        console.log('❌ Node does not support resizing - missing properties:', {
-            hasWidth: 'width' in node,
-            hasHeight: 'height' in node,
-            hasResize: 'resize' in node
-        });
+        const target = clampToSizeLimits(resizable, axis, size);
+        if (target !== size) {
+            console.log(`📐 ${suggestion.property} ${size} clamped to ${target} by min/max size`);
+        }
+        releaseHugSizing(resizable, axis);
+        if (axis === 'horizontal') {
+            resizable.resize(target, resizable.height);
+        }
+        else {
+            resizable.resize(resizable.width, target);
+        }
+        console.log(`✅ Resized to ${resizable.width} x ${resizable.height}`);
+    }
+    if (parentLayout) {
+        keepConstrainedEdges(resizable, current, parentLayout);
+    }
+}
+// Node types whose shape distorts when only one side changes
+const VECTOR_NODE_TYPES = ['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'POLYGON'];
+// How a node keeps its proportions when resized: 'rescale' for vectors and icons (strokes scale too),
+// 'resize' for images and locked aspect ratios, or null when one side may change on its own
+function getProportionalScaling(node) {
+    if (VECTOR_NODE_TYPES.indexOf(node.type) !== -1 || isIconLike(node)) {
+        return 'rescale';
+    }
+    if (isAspectRatioLocked(node) || hasImageFill(node)) {
+        return 'resize';
+    }
+    return null;
+}
+// A frame, group, component or instance drawn only with vector shapes. findOne stops at the first
+// text or nested frame, so large layouts are rejected quickly.
+function isIconLike(node) {
+    if (['FRAME', 'GROUP', 'COMPONENT', 'INSTANCE'].indexOf(node.type) === -1 || !('findOne' in node)) {
+        return false;
+    }
+    const container = node;
+    const isIconPart = (child) => VECTOR_NODE_TYPES.indexOf(child.type) !== -1 ||
+        ['ELLIPSE', 'LINE', 'RECTANGLE', 'GROUP'].indexOf(child.type) !== -1;
+    return container.findOne(child => !isIconPart(child)) === null &&
+        container.findOne(child => VECTOR_NODE_TYPES.indexOf(child.type) !== -1) !== null;
+}
+function isAspectRatioLocked(node) {
+    if ('targetAspectRatio' in node && node.targetAspectRatio) {
+        return true;
+    }
+    return 'constrainProportions' in node && node.constrainProportions === true;
+}
+function hasImageFill(node) {
+    if (!('fills' in node) || !Array.isArray(node.fills)) {
+        return false;
+    }
+    return node.fills.some(paint => paint.type === 'IMAGE' && paint.visible !== false);
+}
+// Whether layoutSizingHorizontal/Vertical mean anything for this node: text, auto-layout frames
+// and the children an auto-layout parent places
+function hasLayoutSizing(node) {
+    if (!('layoutSizingHorizontal' in node)) {
+        return false;
+    }
+    if (node.type === 'TEXT' || ('layoutMode' in node && node.layoutMode !== 'NONE')) {
+        return true;
+    }
+    return isAutoLayoutChild(node);
+}
+function isAutoLayoutChild(node) {
+    const parent = node.parent;
+    if (!parent || !('layoutMode' in parent) || parent.layoutMode === 'NONE') {
+        return false;
+    }
+    return !('layoutPositioning' in node && node.layoutPositioning === 'ABSOLUTE');
+}
+function getAxisSizing(node, axis) {
+    if (!hasLayoutSizing(node)) {
+        return 'FIXED';
+    }
+    const sized = node;
+    return axis === 'horizontal' ? sized.layoutSizingHorizontal : sized.layoutSizingVertical;
+}
+// A side that hugs its contents would snap back after a resize, so fix it first. Text keeps
+// growing downwards when only its width changes.
+function releaseHugSizing(node, axis) {
+    if (node.type === 'TEXT') {
+        if (axis === 'horizontal' && node.textAutoResize === 'WIDTH_AND_HEIGHT') {
+            node.textAutoResize = 'HEIGHT';
+            console.log('📐 Text now has a fixed width and grows in height');
+        }
+        else if (axis === 'vertical' && (node.textAutoResize === 'WIDTH_AND_HEIGHT' || node.textAutoResize === 'HEIGHT')) {
+            node.textAutoResize = 'NONE';
+            console.log('📐 Text now has a fixed size');
+        }
+        return;
+    }
+    if (getAxisSizing(node, axis) === 'HUG') {
+        if (axis === 'horizontal') {
+            node.layoutSizingHorizontal = 'FIXED';
+        }
+        else {
+            node.layoutSizingVertical = 'FIXED';
+        }
+        console.log(`📐 ${axis === 'horizontal' ? 'Width' : 'Height'} no longer hugs its contents`);
+    }
+}
+// Min/max width or height set on auto-layout frames and their children
+function getSizeLimits(node, axis) {
+    if (!hasLayoutSizing(node) || !('minWidth' in node)) {
+        return { min: null, max: null };
+    }
+    return axis === 'horizontal'
+        ? { min: node.minWidth, max: node.maxWidth }
+        : { min: node.minHeight, max: node.maxHeight };
+}
+function clampToSizeLimits(node, axis, size) {
+    const limits = getSizeLimits(node, axis);
+    let clamped = size;
+    if (limits.min !== null && clamped < limits.min) {
+        clamped = limits.min;
+    }
+    if (limits.max !== null && clamped > limits.max) {
+        clamped = limits.max;
+    }
+    return clamped;
+}
+// The min/max size of one side as a range of scale factors
+function getScaleLimits(node, axis) {
+    const limits = getSizeLimits(node, axis);
+    const current = axis === 'horizontal' ? node.width : node.height;
+    // A side of 0 stays 0 at any scale, so it sets no limit
+    if (current <= 0) {
+        return { min: 0, max: Infinity };
+    }
+    return {
+        min: limits.min !== null ? limits.min / current : 0.01,
+        max: limits.max !== null ? limits.max / current : Infinity
+    };
+}
+// The node's own constraints when its parent positions it by them: a frame without auto-layout,
+// or an auto-layout frame that the node is absolutely positioned in. Rotated nodes are left alone.
+function getConstraintLayout(node) {
+    const parent = node.parent;
+    if (!('constraints' in node) || !parent || !('layoutMode' in parent) || isAutoLayoutChild(node)) {
+        return null;
+    }
+    if ('rotation' in node && node.rotation !== 0) {
+        return null;
+    }
+    return node.constraints;
+}
+// resize() grows from the top-left corner; move the node back so the edges or center its constraints
+// pin stay where they were. Stretch and scale constraints follow the parent, so their margins change.
+function keepConstrainedEdges(node, before, constraints) {
+    const dx = node.width - before.width;
+    const dy = node.height - before.height;
+    if (constraints.horizontal === 'MAX') {
+        node.x -= dx;
+    }
+    else if (constraints.horizontal === 'CENTER') {
+        node.x -= dx / 2;
+    }
+    if (constraints.vertical === 'MAX') {
+        node.y -= dy;
+    }
+    else if (constraints.vertical === 'CENTER') {
+        node.y -= dy / 2;
+    }
+    if (constraints.horizontal === 'STRETCH' || constraints.horizontal === 'SCALE' ||
+        constraints.vertical === 'STRETCH' || constraints.vertical === 'SCALE') {
+        console.log(`📐 "${node.name}" stretches with its parent - its margins changed with the new size`);
     }
 }
-// Apply text suggestions
+// Text properties that replace the characters; TYPOGRAPHY_PROPERTIES restyle them instead
+const TEXT_CONTENT_PROPERTIES = ['content', 'characters', 'text'];
+const TYPOGRAPHY_PROPERTIES = ['fontSize', 'fontName', 'lineHeight', 'letterSpacing', 'textCase', 'textDecoration'];
+// Apply text suggestions - new content or typography - to a text node, or to every text node
+// inside a composite element
 async function applyTextSuggestion(node, suggestion) {
     console.log('📝 Applying text suggestion:', suggestion.property, suggestion.suggestedValue);
     console.log('📝 Current node:', node.name, 'type:', node.type);
+    let textNodes = [];
     if (node.type === 'TEXT') {
+        textNodes = [node];
+    }
+    else if (node.type === 'COMPONENT' || node.type === 'INSTANCE' || node.type === 'FRAME' || node.type === 'GROUP' || node.type.includes('SHAPE_WITH_TEXT')) {
+        // Handle SHAPE_WITH_TEXT or composite elements - find text children
+        console.log('📝 Composite element detected, searching for text children...');
+        if ('findAll' in node) {
+            textNodes = node.findAll(child => child.type === 'TEXT');
+        }
+        if (textNodes.length === 0) {
+            console.log('❌ No text nodes found in composite element');
+            return;
+        }
+        console.log(`📝 Found ${textNodes.length} text node(s) in composite element`);
+    }
+    else {
+        console.log('❌ Node is not a text element or composite element:', node.type);
+        return;
+    }
+    for (const textNode of textNodes) {
         try {
-            // Load the font before making changes
-            await figma.loadFontAsync(node.fontName);
-            if (suggestion.property === 'content' || suggestion.property === 'characters' || suggestion.property === 'text') {
+            if (TEXT_CONTENT_PROPERTIES.indexOf(suggestion.property) !== -1) {
                 // Clean the suggested value - remove quotes if present
                 let newText = String(suggestion.suggestedValue);
                 if (newText.startsWith('"') && newText.endsWith('"')) {
                     newText = newText.slice(1, -1);
                 }
-                console.log('📝 About to change text from:', node.characters, 'to:', newText);
-                node.characters = newText;
+                await loadFontsForTextNode(textNode);
+                console.log('📝 About to change text from:', textNode.characters, 'to:', newText);
+                textNode.characters = newText;
                 console.log('✅ Text changed successfully to:', newText);
-                console.log('📝 Verifying text is now:', node.characters);
+            }
+            else if (TYPOGRAPHY_PROPERTIES.indexOf(suggestion.property) !== -1) {
+                await applyTypographyToTextNode(textNode, suggestion.property, suggestion.suggestedValue);
+                console.log(`✅ Set ${suggestion.property} on "${textNode.name}"`);
+            }
+            else {
+                console.log('❌ Unsupported text property:', suggestion.property);
             }
         }
         catch (error) {
             console.log('❌ Text change failed:', error.message);
+            throw error;
         }
     }
-    else if (node.type === 'COMPONENT' || node.type === 'INSTANCE' || node.type === 'FRAME' || node.type === 'GROUP' || node.type.includes('SHAPE_WITH_TEXT')) {
-        // Handle SHAPE_WITH_TEXT or composite elements - find text children
-        console.log('📝 Composite element detected, searching for text children...');
-        const textNodes = [];
-        function findTextNodes(searchNode) {
-            if (searchNode.type === 'TEXT') {
-                textNodes.push(searchNode);
-            }
-            else if ('children' in searchNode) {
-                for (const child of searchNode.children) {
-                    findTextNodes(child);
-                }
+}
+// Restyle every character of a text node. All fonts in use are loaded first, since a node whose
+// ranges use different fonts has fontName === figma.mixed and cannot be loaded in one call.
+async function applyTypographyToTextNode(node, property, value) {
+    await loadFontsForTextNode(node);
+    switch (property) {
+        case 'fontName':
+            await applyFontNameToTextNode(node, value);
+            break;
+        case 'fontSize': {
+            const size = typeof value === 'number' ? value : parseFloat(value);
+            if (!(size >= 1)) {
+                throw new Error(`Invalid font size: ${value}`);
             }
+            node.fontSize = size;
+            break;
         }
-        findTextNodes(node);
-        if (textNodes.length > 0) {
-            console.log(`📝 Found ${textNodes.length} text node(s) in composite element`);
-            for (const textNode of textNodes) {
-                try {
-                    await figma.loadFontAsync(textNode.fontName);
-                    if (suggestion.property === 'content' || suggestion.property === 'characters' || suggestion.property === 'text') {
-                        let newText = String(suggestion.suggestedValue);
-                        if (newText.startsWith('"') && newText.endsWith('"')) {
-                            newText = newText.slice(1, -1);
-                        }
-                        console.log('📝 About to change composite text from:', textNode.characters, 'to:', newText);
-                        textNode.characters = newText;
-                        console.log('✅ Composite text updated to:', newText);
-                        console.log('📝 Verifying composite text is now:', textNode.characters);
-                    }
-                }
-                catch (error) {
-                    console.log('❌ Text suggestion failed for child text node:', error.message);
-                }
+        case 'lineHeight': {
+            const lineHeight = toTextMetric(value);
+            if (!lineHeight) {
+                throw new Error(`Invalid line height: ${JSON.stringify(value)}`);
             }
+            node.lineHeight = lineHeight;
+            break;
+        }
+        case 'letterSpacing': {
+            const letterSpacing = toTextMetric(value);
+            if (!letterSpacing || letterSpacing.unit === 'AUTO') {
+                throw new Error(`Invalid letter spacing: ${JSON.stringify(value)}`);
+            }
+            node.letterSpacing = letterSpacing;
+            break;
+        }
+        case 'textCase':
+            node.textCase = String(value).toUpperCase();
+            break;
+        case 'textDecoration':
+            node.textDecoration = String(value).toUpperCase();
+            break;
+    }
+}
+// Change the font style (weight) and optionally the family. Without a family each character range
+// keeps its own, so "Bold" turns Inter Regular into Inter Bold and Roboto Regular into Roboto Bold.
+// Every target font is loaded before anything changes, so a missing font leaves the text untouched.
+async function applyFontNameToTextNode(node, value) {
+    const style = value && typeof value === 'object' ? value.style : value;
+    const family = value && typeof value === 'object' ? value.family : undefined;
+    if (typeof style !== 'string' || !style.trim()) {
+        throw new Error(`Invalid font: ${JSON.stringify(value)}`);
+    }
+    const ranges = node.characters.length > 0
+        ? node.getStyledTextSegments(['fontName']).map(segment => ({ start: segment.start, end: segment.end, fontName: segment.fontName }))
+        : [{ start: 0, end: 0, fontName: node.fontName }];
+    const targets = ranges.map(range => (Object.assign(Object.assign({}, range), { font: { family: family || range.fontName.family, style: style.trim() } })));
+    await Promise.all(targets.map(target => figma.loadFontAsync(target.font)));
+    for (const target of targets) {
+        if (target.end > target.start) {
+            node.setRangeFontName(target.start, target.end, target.font);
         }
         else {
-            console.log('❌ No text nodes found in composite element');
+            node.fontName = target.font;
+        }
+    }
+}
+// Line height or letter spacing as Figma expects it; plain numbers are pixels
+function toTextMetric(value) {
+    if (typeof value === 'number' && isFinite(value)) {
+        return { unit: 'PIXELS', value };
+    }
+    if (value && value.unit === 'AUTO') {
+        return { unit: 'AUTO' };
+    }
+    if (value && (value.unit === 'PIXELS' || value.unit === 'PERCENT') && typeof value.value === 'number') {
+        return { unit: value.unit, value: value.value };
+    }
+    return null;
+}
+// Apply stroke suggestions - a color replaces the strokes with one solid paint, a weight keeps them
+async function applyStrokeSuggestion(node, suggestion) {
+    console.log('🖊️ Applying stroke suggestion:', suggestion.property, suggestion.suggestedValue);
+    if (!('strokes' in node)) {
+        throw new Error(`${node.type} elements have no strokes`);
+    }
+    const strokeNode = node;
+    const value = suggestion.suggestedValue;
+    switch (suggestion.property) {
+        case 'strokeColor':
+            if (!value || typeof value !== 'object' || typeof value.r !== 'number' || typeof value.g !== 'number' || typeof value.b !== 'number') {
+                throw new Error(`Invalid stroke color: ${JSON.stringify(value)}`);
+            }
+            strokeNode.strokes = [{ type: 'SOLID', color: { r: value.r, g: value.g, b: value.b } }];
+            break;
+        case 'strokeWeight': {
+            const weight = typeof value === 'number' ? value : parseFloat(value);
+            if (!(weight >= 0)) {
+                throw new Error(`Invalid stroke weight: ${value}`);
+            }
+            // A weight without a stroke changes nothing visible, so it is not reported as applied
+            if (strokeNode.strokes.length === 0) {
+                throw new Error(`"${node.name}" has no stroke - apply a stroke color suggestion first`);
+            }
+            strokeNode.strokeWeight = weight;
+            break;
+        }
+        default:
+            throw new Error(`Unsupported stroke property: ${suggestion.property}`);
+    }
+    console.log(`✅ Set ${suggestion.property} on "${node.name}"`);
+}
+// Blend modes Figma accepts on a layer
+const BLEND_MODES = [
+    'PASS_THROUGH', 'NORMAL', 'DARKEN', 'MULTIPLY', 'LINEAR_BURN', 'COLOR_BURN', 'LIGHTEN', 'SCREEN', 'LINEAR_DODGE',
+    'COLOR_DODGE', 'OVERLAY', 'SOFT_LIGHT', 'HARD_LIGHT', 'DIFFERENCE', 'EXCLUSION', 'HUE', 'SATURATION', 'COLOR', 'LUMINOSITY'
+];
+// Apply corner radius, opacity and blend mode suggestions
+async function applyAppearanceSuggestion(node, suggestion) {
+    console.log('🪄 Applying appearance suggestion:', suggestion.property, suggestion.suggestedValue);
+    const value = suggestion.suggestedValue;
+    switch (suggestion.property) {
+        case 'cornerRadius': {
+            const radius = typeof value === 'number' ? value : parseFloat(value);
+            if (!('cornerRadius' in node)) {
+                throw new Error(`${node.type} elements have no corner radius`);
+            }
+            if (!(radius >= 0)) {
+                throw new Error(`Invalid corner radius: ${value}`);
+            }
+            node.cornerRadius = radius;
+            break;
         }
+        case 'opacity': {
+            const opacity = typeof value === 'number' ? value : parseFloat(value);
+            if (!('opacity' in node)) {
+                throw new Error(`${node.type} elements have no opacity`);
+            }
+            if (!(opacity >= 0 && opacity <= 1)) {
+                throw new Error(`Invalid opacity: ${value}`);
+            }
+            node.opacity = opacity;
+            break;
+        }
+        case 'blendMode': {
+            const blendMode = String(value).toUpperCase();
+            if (!('blendMode' in node)) {
+                throw new Error(`${node.type} elements have no blend mode`);
+            }
+            if (BLEND_MODES.indexOf(blendMode) === -1) {
+                throw new Error(`Invalid blend mode: ${value}`);
+            }
+            node.blendMode = blendMode;
+            break;
+        }
+        default:
+            throw new Error(`Unsupported appearance property: ${suggestion.property}`);
+    }
+    console.log(`✅ Set ${suggestion.property} on "${node.name}"`);
+}
+// Figma effect type each effect suggestion property adds or replaces
+const EFFECT_TYPES = {
+    dropShadow: 'DROP_SHADOW',
+    layerBlur: 'LAYER_BLUR',
+    backgroundBlur: 'BACKGROUND_BLUR'
+};
+// Apply effect suggestions. The new effect replaces existing effects of its type and keeps the others,
+// so a suggested shadow does not also remove a blur; "NONE" or a 0 blur radius only removes them.
+async function applyEffectSuggestion(node, suggestion) {
+    console.log('🌫️ Applying effect suggestion:', suggestion.property, suggestion.suggestedValue);
+    const effectType = EFFECT_TYPES[suggestion.property];
+    if (!effectType) {
+        throw new Error(`Unsupported effect property: ${suggestion.property}`);
+    }
+    if (!('effects' in node)) {
+        throw new Error(`${node.type} elements have no effects`);
+    }
+    const effectNode = node;
+    const value = suggestion.suggestedValue;
+    const kept = effectNode.effects.filter(effect => effect.type !== effectType);
+    if (value === 'NONE' || value === 0) {
+        effectNode.effects = kept;
+        console.log(`✅ Removed ${suggestion.property} from "${node.name}"`);
+        return;
+    }
+    let effect;
+    if (effectType === 'DROP_SHADOW') {
+        const shadow = toDropShadowEffect(value);
+        if (!shadow) {
+            throw new Error(`Invalid drop shadow: ${JSON.stringify(value)}`);
+        }
+        effect = shadow;
     }
     else {
-        console.log('❌ Node is not a text element or composite element:', node.type);
+        const radius = typeof value === 'number' ? value : parseFloat(value);
+        if (!(radius > 0)) {
+            throw new Error(`Invalid blur radius: ${value}`);
+        }
+        effect = { type: effectType, radius, visible: true, blurType: 'NORMAL' };
+    }
+    effectNode.effects = [...kept, effect];
+    console.log(`✅ Set ${suggestion.property} on "${node.name}"`);
+}
+// Drop shadow as Figma expects it, from the DropShadowEffect the server sends; null when incomplete
+function toDropShadowEffect(value) {
+    if (!value || typeof value !== 'object' || !value.color || !value.offset) {
+        return null;
+    }
+    const { r, g, b } = value.color;
+    const a = value.color.a === undefined ? 1 : value.color.a;
+    const numbers = [r, g, b, a, value.offset.x, value.offset.y, value.radius, value.spread || 0];
+    if (!numbers.every(number => typeof number === 'number' && isFinite(number)) || value.radius < 0) {
+        return null;
     }
+    return {
+        type: 'DROP_SHADOW',
+        color: { r, g, b, a },
+        offset: { x: value.offset.x, y: value.offset.y },
+        radius: value.radius,
+        spread: value.spread || 0,
+        visible: true,
+        blendMode: 'NORMAL'
+    };
+}
+// Auto-layout settings that only take effect once a frame's layoutMode is HORIZONTAL or VERTICAL
+const AUTO_LAYOUT_SETTINGS = [
+    'itemSpacing',
+    'paddingTop',
+    'paddingRight',
+    'paddingBottom',
+    'paddingLeft',
+    'primaryAxisAlignItems',
+    'counterAxisAlignItems',
+    'primaryAxisSizingMode',
+    'counterAxisSizingMode'
+];
+// Apply auto-layout suggestions: turning auto-layout on or off, spacing, padding, alignment and sizing
+async function applyLayoutSuggestion(node, suggestion) {
+    console.log('📏 Applying layout suggestion:', suggestion.property, suggestion.suggestedValue);
+    if (!('layoutMode' in node)) {
+        throw new Error(`${node.type} elements cannot use auto-layout`);
+    }
+    const frame = node;
+    const value = suggestion.suggestedValue;
+    if (suggestion.property === 'layoutMode') {
+        if (value !== 'HORIZONTAL' && value !== 'VERTICAL' && value !== 'NONE') {
+            throw new Error(`Invalid layout mode: ${value}`);
+        }
+        if (frame.layoutMode === 'NONE' && value !== 'NONE') {
+            convertToAutoLayout(frame, value);
+        }
+        else {
+            frame.layoutMode = value;
+        }
+        console.log(`✅ Set layoutMode to ${value} on "${node.name}"`);
+        return;
+    }
+    if (frame.layoutMode === 'NONE') {
+        throw new Error(`"${node.name}" has no auto-layout - apply a layoutMode suggestion first`);
+    }
+    switch (suggestion.property) {
+        case 'itemSpacing':
+        case 'paddingTop':
+        case 'paddingRight':
+        case 'paddingBottom':
+        case 'paddingLeft': {
+            const pixels = typeof value === 'number' ? value : parseFloat(value);
+            if (!(pixels >= 0)) {
+                throw new Error(`Invalid ${suggestion.property}: ${value}`);
+            }
+            frame[suggestion.property] = pixels;
+            break;
+        }
+        case 'padding': {
+            const sides = value && typeof value === 'object' ? [value.top, value.right, value.bottom, value.left] : [];
+            if (sides.length === 0 || !sides.every(side => typeof side === 'number' && side >= 0)) {
+                throw new Error(`Invalid padding: ${JSON.stringify(value)}`);
+            }
+            frame.paddingTop = value.top;
+            frame.paddingRight = value.right;
+            frame.paddingBottom = value.bottom;
+            frame.paddingLeft = value.left;
+            break;
+        }
+        case 'primaryAxisAlignItems':
+            frame.primaryAxisAlignItems = String(value).toUpperCase();
+            break;
+        case 'counterAxisAlignItems': {
+            const align = String(value).toUpperCase();
+            // Text baselines only line up across a row
+            if (align === 'BASELINE' && frame.layoutMode !== 'HORIZONTAL') {
+                throw new Error(`"${node.name}" has ${frame.layoutMode.toLowerCase()} auto-layout - baseline alignment needs horizontal auto-layout`);
+            }
+            frame.counterAxisAlignItems = align;
+            break;
+        }
+        case 'primaryAxisSizingMode':
+        case 'counterAxisSizingMode':
+            // 'AUTO' hugs the contents
+            frame[suggestion.property] = String(value).toUpperCase();
+            break;
+        default:
+            throw new Error(`Unsupported layout property: ${suggestion.property}`);
+    }
+    console.log(`✅ Set ${suggestion.property} on "${node.name}"`);
+}
+// Turn a plain frame into an auto-layout frame the way Figma's "Add auto layout" does: children are
+// ordered by their position along the new axis, and the gap and padding come from where they sit now,
+// so the frame keeps its size and roughly its look
+function convertToAutoLayout(frame, direction) {
+    // Layers of an instance cannot be reordered, and its layout belongs to the main component
+    if (frame.type === 'INSTANCE') {
+        throw new Error(`"${frame.name}" is a component instance - add auto-layout to its main component instead`);
+    }
+    const instance = findContainingInstance(frame);
+    if (instance) {
+        throw new Error(`"${frame.name}" is inside the instance "${instance.name}" - add auto-layout in its main component instead`);
+    }
+    const { width, height } = frame;
+    const horizontal = direction === 'HORIZONTAL';
+    const start = (child) => (horizontal ? child.x : child.y);
+    const size = (child) => (horizontal ? child.width : child.height);
+    const children = [...frame.children].sort((a, b) => start(a) - start(b));
+    let itemSpacing = 0;
+    let padding = { top: 0, right: 0, bottom: 0, left: 0 };
+    if (children.length > 0) {
+        children.forEach((child, index) => frame.insertChild(index, child));
+        const gaps = children.slice(1).map((child, index) => start(child) - (start(children[index]) + size(children[index])));
+        itemSpacing = gaps.length > 0 ? Math.max(0, Math.round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length)) : 0;
+        padding = {
+            top: Math.max(0, Math.round(Math.min(...children.map(child => child.y)))),
+            right: Math.max(0, Math.round(width - Math.max(...children.map(child => child.x + child.width)))),
+            bottom: Math.max(0, Math.round(height - Math.max(...children.map(child => child.y + child.height)))),
+            left: Math.max(0, Math.round(Math.min(...children.map(child => child.x))))
+        };
+    }
+    frame.layoutMode = direction;
+    frame.primaryAxisSizingMode = 'FIXED';
+    frame.counterAxisSizingMode = 'FIXED';
+    frame.itemSpacing = itemSpacing;
+    frame.paddingTop = padding.top;
+    frame.paddingRight = padding.right;
+    frame.paddingBottom = padding.bottom;
+    frame.paddingLeft = padding.left;
+    frame.resize(width, height);
+    console.log(`📏 Added ${direction.toLowerCase()} auto-layout: gap ${itemSpacing}, padding ${padding.top}/${padding.right}/${padding.bottom}/${padding.left}`);
+}
+// The nearest instance a node sits in, if any
+function findContainingInstance(node) {
+    let parent = node.parent;
+    while (parent && parent.type !== 'PAGE' && parent.type !== 'DOCUMENT') {
+        if (parent.type === 'INSTANCE') {
+            return parent;
+        }
+        parent = parent.parent;
+    }
+    return null;
+}
+// Every element of an arrange suggestion, throwing when fewer than two can still be found
+function resolveArrangeTargets(suggestion) {
+    const ids = Array.isArray(suggestion.elementIds) ? suggestion.elementIds : [];
+    const targets = [];
+    for (const id of ids) {
+        const node = figma.getNodeById(id);
+        if (node && node.type !== 'PAGE' && node.type !== 'DOCUMENT' && targets.indexOf(node) === -1) {
+            targets.push(node);
+        }
+    }
+    if (targets.length < 2) {
+        throw new Error(`Arrange suggestions need 2 or more elements (found ${targets.length} of ${ids.length})`);
+    }
+    return targets;
+}
+// Apply arrange suggestions - align, distribute, match sizes or equalize gaps across a set of elements.
+// Bounds are measured on the page, so elements in different frames still line up.
+async function applyArrangeSuggestion(node, suggestion) {
+    console.log('📚 Applying arrange suggestion:', suggestion.property, suggestion.elementIds);
+    const targets = resolveArrangeTargets(suggestion);
+    const operation = String(suggestion.property);
+    if (operation === 'match-width' || operation === 'match-height') {
+        await matchSizes(targets, operation === 'match-width' ? 'horizontal' : 'vertical', suggestion.suggestedValue);
+        return;
+    }
+    // Auto-layout decides where its children go, so they cannot be moved one by one
+    const placed = targets.filter(isAutoLayoutChild);
+    if (placed.length > 0) {
+        throw new Error(`${placed.map(target => `"${target.name}"`).join(', ')} ${placed.length === 1 ? 'is' : 'are'} placed by auto-layout - change the parent's layout instead`);
+    }
+    const items = targets.map(target => ({ node: target, bounds: getPageBounds(target) }));
+    switch (operation) {
+        case 'align-left':
+        case 'align-center':
+        case 'align-right':
+            alignOnAxis(items, 'horizontal', operation.slice('align-'.length));
+            break;
+        case 'align-top':
+        case 'align-middle':
+        case 'align-bottom':
+            alignOnAxis(items, 'vertical', operation.slice('align-'.length));
+            break;
+        case 'distribute-horizontal':
+        case 'distribute-vertical':
+            if (items.length < 3) {
+                throw new Error('Distributing needs 3 or more elements');
+            }
+            spaceAlongAxis(items, operation === 'distribute-horizontal' ? 'horizontal' : 'vertical', null);
+            break;
+        case 'equalize-gap': {
+            const gap = typeof suggestion.suggestedValue === 'number' ? suggestion.suggestedValue : parseFloat(suggestion.suggestedValue);
+            if (!(gap >= 0)) {
+                throw new Error(`Invalid gap: ${suggestion.suggestedValue}`);
+            }
+            spaceAlongAxis(items, getArrangementAxis(items), gap);
+            break;
+        }
+        default:
+            throw new Error(`Unsupported arrange operation: ${operation}`);
+    }
+    console.log(`✅ Applied ${operation} to ${targets.length} elements`);
+}
+function getPageBounds(node) {
+    if ('absoluteBoundingBox' in node && node.absoluteBoundingBox) {
+        return node.absoluteBoundingBox;
+    }
+    const transform = node.absoluteTransform;
+    return { x: transform[0][2], y: transform[1][2], width: node.width, height: node.height };
+}
+// Move a node on the page; x and y are parent-relative, which shifts by the same amount
+function moveOnPage(item, axis, delta) {
+    if (delta === 0) {
+        return;
+    }
+    if (axis === 'horizontal') {
+        item.node.x += delta;
+        item.bounds = Object.assign(Object.assign({}, item.bounds), { x: item.bounds.x + delta });
+    }
+    else {
+        item.node.y += delta;
+        item.bounds = Object.assign(Object.assign({}, item.bounds), { y: item.bounds.y + delta });
+    }
+}
+function axisStart(bounds, axis) {
+    return axis === 'horizontal' ? bounds.x : bounds.y;
+}
+function axisSize(bounds, axis) {
+    return axis === 'horizontal' ? bounds.width : bounds.height;
+}
+// Line elements up on the selection's shared start edge, center or end edge, like Figma's align buttons
+function alignOnAxis(items, axis, edge) {
+    const start = Math.min(...items.map(item => axisStart(item.bounds, axis)));
+    const end = Math.max(...items.map(item => axisStart(item.bounds, axis) + axisSize(item.bounds, axis)));
+    for (const item of items) {
+        const position = axisStart(item.bounds, axis);
+        const size = axisSize(item.bounds, axis);
+        if (edge === 'left' || edge === 'top') {
+            moveOnPage(item, axis, start - position);
+        }
+        else if (edge === 'right' || edge === 'bottom') {
+            moveOnPage(item, axis, end - (position + size));
+        }
+        else {
+            moveOnPage(item, axis, (start + end) / 2 - (position + size / 2));
+        }
+    }
+}
+// Space elements along an axis in their current order. With a gap, the first element stays and the rest
+// follow it; without one the first and last stay and the space between them is shared evenly.
+function spaceAlongAxis(items, axis, gap) {
+    const ordered = [...items].sort((a, b) => axisStart(a.bounds, axis) - axisStart(b.bounds, axis));
+    const first = ordered[0].bounds;
+    const last = ordered[ordered.length - 1].bounds;
+    const totalSize = ordered.reduce((sum, item) => sum + axisSize(item.bounds, axis), 0);
+    const spacing = gap !== null
+        ? gap
+        : (axisStart(last, axis) + axisSize(last, axis) - axisStart(first, axis) - totalSize) / (ordered.length - 1);
+    let cursor = axisStart(first, axis);
+    for (const item of ordered) {
+        moveOnPage(item, axis, cursor - axisStart(item.bounds, axis));
+        cursor += axisSize(item.bounds, axis) + spacing;
+    }
+}
+// The axis a row or column of elements runs along: the one their centers spread further on
+function getArrangementAxis(items) {
+    const spread = (center) => {
+        const centers = items.map(item => center(item.bounds));
+        return Math.max(...centers) - Math.min(...centers);
+    };
+    const horizontal = spread(bounds => bounds.x + bounds.width / 2);
+    const vertical = spread(bounds => bounds.y + bounds.height / 2);
+    return horizontal >= vertical ? 'horizontal' : 'vertical';
+}
+// Give every element the same width or height through the size handler, so each one's sizing model
+// (aspect ratio, hug, min/max) is respected. Sides that fill their parent are refused before anything changes.
+async function matchSizes(targets, axis, value) {
+    const property = axis === 'horizontal' ? 'width' : 'height';
+    const sizes = targets.map(target => (axis === 'horizontal' ? target.width : target.height));
+    const size = value === 'MAX' ? Math.max(...sizes) : value === 'MIN' ? Math.min(...sizes) : (typeof value === 'number' ? value : parseFloat(value));
+    if (!(size > 0)) {
+        throw new Error(`Invalid ${property}: ${value}`);
+    }
+    const filling = targets.filter(target => getAxisSizing(target, axis) === 'FILL');
+    if (filling.length > 0) {
+        throw new Error(`${filling.map(target => `"${target.name}"`).join(', ')} ${filling.length === 1 ? 'fills its' : 'fill their'} auto-layout parent's ${property} - resize the parent instead`);
+    }
+    for (let index = 0; index < targets.length; index++) {
+        if (sizes[index] !== size) {
+            await applySizeSuggestion(targets[index], { type: 'size', property, suggestedValue: size });
+        }
+    }
+    console.log(`✅ Matched ${property} ${size} across ${targets.length} elements`);
 }
 // Apply general suggestions (alignment, etc.)
 async function applyGeneralSuggestion(node, suggestion) {
@@ -489,11 +1823,147 @@ function updateSelectionData() {
         data: selectionData
     });
 }
+// Which conversation the current selection belongs to: the file plus the sorted IDs of the selected nodes.
+// fileKey is only exposed to private plugins, so the document name stands in for it elsewhere.
+function getConversationKeys() {
+    return {
+        fileKey: figma.fileKey || figma.root.name,
+        selectionKey: figma.currentPage.selection.map(node => node.id).sort().join(',')
+    };
+}
+function conversationStorageKey(keys) {
+    return `${keys.fileKey}|${keys.selectionKey}`;
+}
+async function loadConversations() {
+    return (await figma.clientStorage.getAsync(CONVERSATION_STORAGE_KEY)) || {};
+}
+// Remember (or, with null, forget) the thread for a file + selection, keeping only the most recent ones
+async function storeConversationThread(keys, threadId) {
+    const conversations = await loadConversations();
+    const storageKey = conversationStorageKey(keys);
+    if (threadId) {
+        conversations[storageKey] = { threadId: threadId, updatedAt: Date.now() };
+    }
+    else {
+        delete conversations[storageKey];
+    }
+    const recent = Object.keys(conversations)
+        .sort((a, b) => conversations[b].updatedAt - conversations[a].updatedAt)
+        .slice(0, MAX_STORED_CONVERSATIONS);
+    const kept = {};
+    for (const key of recent) {
+        kept[key] = conversations[key];
+    }
+    await figma.clientStorage.setAsync(CONVERSATION_STORAGE_KEY, kept);
+}
+async function buildConversationRequest(message) {
+    const keys = getConversationKeys();
+    const stored = (await loadConversations())[conversationStorageKey(keys)];
+    return {
+        threadId: stored ? stored.threadId : undefined,
+        message: message ? message.trim() : undefined,
+        fileKey: keys.fileKey,
+        selectionKey: keys.selectionKey
+    };
+}
+// Tell the UI whether the current selection has a conversation to continue
+async function sendConversationState() {
+    const keys = getConversationKeys();
+    const stored = keys.selectionKey ? (await loadConversations())[conversationStorageKey(keys)] : undefined;
+    figma.ui.postMessage({
+        type: 'conversation-state',
+        threadId: stored ? stored.threadId : null,
+        selectionKey: keys.selectionKey
+    });
+}
+// Forget the current selection's thread and delete it on the server, so the next analysis starts fresh
+async function handleNewConversation(config) {
+    const keys = getConversationKeys();
+    const stored = (await loadConversations())[conversationStorageKey(keys)];
+    await storeConversationThread(keys, null);
+    if (stored) {
+        try {
+            const response = await fetch(`${getApiBaseUrl(config || {})}/api/threads/${encodeURIComponent(stored.threadId)}?fileKey=${encodeURIComponent(keys.fileKey)}`, {
+                method: 'DELETE',
+                headers: buildProviderHeaders(config || {})
+            });
+            if (!response.ok && response.status !== 404) {
+                console.warn('⚠️ Could not delete conversation thread:', response.status, await response.text());
+            }
+        }
+        catch (error) {
+            console.warn('⚠️ Could not delete conversation thread:', error);
+        }
+    }
+    await sendConversationState();
+}
 // Handle AI request using Figma's Fetch API (avoids CORS issues)
+function getApiBaseUrl(config) {
+    return (config.apiEndpoint || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+// Full request URL for a provider: base URL plus the provider's (or the custom) path
+function buildProviderEndpoint(provider, config) {
+    const path = (provider === 'custom' && config.path) || PROVIDER_PATHS[provider] || PROVIDER_PATHS['azure-openai'];
+    return `${getApiBaseUrl(config)}${path.startsWith('/') ? path : `/${path}`}`;
+}
+// JSON content type, then for custom endpoints the saved API key in the configured auth header and any
+// extra headers. The built-in providers' servers never get the key, which is meant for the user's own gateway.
+function buildProviderHeaders(config) {
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+    if (config.provider !== 'custom') {
+        return headers;
+    }
+    if (config.apiKey) {
+        const authHeader = (config.authHeader || 'Authorization').trim();
+        headers[authHeader] = authHeader.toLowerCase() === 'authorization' ? `Bearer ${config.apiKey}` : config.apiKey;
+    }
+    const extraHeaders = config.extraHeaders || {};
+    for (const name of Object.keys(extraHeaders)) {
+        headers[name] = extraHeaders[name];
+    }
+    return headers;
+}
+// Send an empty analysis to the configured endpoint and check the reply follows the contract
+async function handleTestConnection(provider, config) {
+    const endpoint = buildProviderEndpoint(provider, config || {});
+    try {
+        console.log('🧪 Testing connection to:', endpoint);
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: buildProviderHeaders(config || {}),
+            body: JSON.stringify({ type: 'design-analysis', provider: SERVER_PROVIDERS[provider], data: { elements: [] } })
+        });
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP ${response.status}: ${errorText.substring(0, 200)}`);
+        }
+        const result = await response.json();
+        if (!result || !Array.isArray(result.suggestions)) {
+            throw new Error('Response has no "suggestions" array');
+        }
+        figma.ui.postMessage({
+            type: 'connection-test-result',
+            ok: true,
+            message: `Connected to ${endpoint}`
+        });
+    }
+    catch (error) {
+        console.error('❌ Connection test failed:', error);
+        figma.ui.postMessage({
+            type: 'connection-test-result',
+            ok: false,
+            message: `${endpoint}: ${error.message || 'Network request failed'}`
+        });
+    }
+}
 async function handleAIRequest(request, provider, config) {
     console.log('🚀 Making AI request directly from main thread:', provider);
     console.log('🔍 Request details:', request);
-    console.log('⚙️ Config details:', config);
+    console.log('⚙️ Config details:', Object.assign(Object.assign({}, config), { apiKey: config.apiKey ? '***' : '' }));
+    const requestId = `analysis-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    activeAnalysis = { requestId: requestId, config: config };
     try {
         // Send loading message to UI immediately
         figma.ui.postMessage({
@@ -511,23 +1981,37 @@ async function handleAIRequest(request, provider, config) {
             throw new Error(`Test connectivity failed: ${testResponse.status}`);
         }
         console.log('✅ Basic connectivity works');
+        if (!isActiveAnalysis(requestId))
+            return;
         // Now try our API
-        const baseUrl = config.apiEndpoint || 'https://figma-plugin-api.politepebble-97923130.westus2.azurecontainerapps.io';
-        let endpoint;
-        if (provider === 'azure-foundry') {
-            endpoint = `${baseUrl}/api/analyze-foundry`;
-        }
-        else {
-            endpoint = `${baseUrl}/api/analyze-anonymous`;
-        }
+        const endpoint = buildProviderEndpoint(provider, config);
         console.log('🔍 Final endpoint:', endpoint);
         console.log('🌐 Making AI request...');
+        // Only providers with agent threads get the conversation; the rest get a plain analysis
+        const conversation = CONVERSATION_PROVIDERS.indexOf(provider) !== -1 ? request.conversation : undefined;
+        const body = Object.assign(Object.assign({}, request), { conversation: conversation, requestId: requestId });
+        if (SERVER_PROVIDERS[provider]) {
+            body.provider = SERVER_PROVIDERS[provider];
+        }
+        // Figma's fetch cannot read a response while it arrives, so the UI iframe fetches streamed analyses
+        // and reports the final result back with 'stream-finished'
+        if (config.stream) {
+            console.log('🌊 Handing streamed request to the UI');
+            figma.ui.postMessage({
+                type: 'stream-ai-request',
+                url: endpoint,
+                headers: Object.assign(Object.assign({}, buildProviderHeaders(config)), { 'Accept': 'application/x-ndjson' }),
+                body: JSON.stringify(body),
+                provider: provider,
+                conversation: conversation,
+                requestId: requestId
+            });
+            return;
+        }
         const response = await fetch(endpoint, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(request)
+            headers: buildProviderHeaders(config),
+            body: JSON.stringify(body)
         });
         console.log('📥 Response status:', response.status, response.statusText);
         if (!response.ok) {
@@ -537,6 +2021,12 @@ async function handleAIRequest(request, provider, config) {
         }
         const result = await response.json();
         console.log('✅ AI request successful:', result);
+        if (!isActiveAnalysis(requestId)) {
+            console.log('🛑 Dropping response of cancelled analysis', requestId);
+            return;
+        }
+        activeAnalysis = null;
+        await rememberConversationReply(conversation, result);
         // Send result back to UI
         figma.ui.postMessage({
             type: 'ai-response',
@@ -547,6 +2037,9 @@ async function handleAIRequest(request, provider, config) {
     catch (error) {
         console.error('❌ AI request failed:', error);
         console.error('❌ Error stack:', error.stack);
+        if (!isActiveAnalysis(requestId))
+            return;
+        activeAnalysis = null;
         // Send error back to UI
         figma.ui.postMessage({
             type: 'ai-error',
@@ -555,6 +2048,48 @@ async function handleAIRequest(request, provider, config) {
         });
     }
 }
+function isActiveAnalysis(requestId) {
+    return activeAnalysis !== null && activeAnalysis.requestId === requestId;
+}
+// Stop waiting for the running analysis, reset the UI and ask the server to abort its model calls
+// and agent run
+async function handleCancelAnalysis() {
+    const analysis = activeAnalysis;
+    activeAnalysis = null;
+    figma.ui.postMessage({ type: 'analysis-cancelled' });
+    if (analysis) {
+        await requestServerCancel(analysis);
+    }
+}
+// Best effort: the analysis may have just finished, or a custom gateway may not support cancelling
+async function requestServerCancel(analysis) {
+    try {
+        const response = await fetch(`${getApiBaseUrl(analysis.config)}/api/analyses/${encodeURIComponent(analysis.requestId)}`, {
+            method: 'DELETE',
+            headers: buildProviderHeaders(analysis.config)
+        });
+        if (!response.ok && response.status !== 404) {
+            console.warn('⚠️ Could not cancel analysis on the server:', response.status, await response.text());
+        }
+    }
+    catch (error) {
+        console.warn('⚠️ Could not cancel analysis on the server:', error);
+    }
+}
+// Keep the thread for follow-ups and hand the agent's reply to the chat
+async function rememberConversationReply(conversation, result) {
+    const thread = result && result.metadata && result.metadata.conversation;
+    if (!conversation || !thread || !thread.threadId)
+        return;
+    await storeConversationThread(conversation, thread.threadId);
+    figma.ui.postMessage({
+        type: 'conversation-updated',
+        threadId: thread.threadId,
+        selectionKey: conversation.selectionKey,
+        restarted: Boolean(thread.restarted),
+        reply: thread.reply || ''
+    });
+}
 // Send current selection data to UI
 function sendSelectionData() {
     updateSelectionData();
@@ -562,6 +2097,20 @@ function sendSelectionData() {
 // Handle selection changes
 figma.on('selectionchange', () => {
     updateSelectionData();
+    sendConversationState();
+});
+// Never leave a preview behind when the plugin is closed, nor an analysis running on the server
+figma.on('close', () => {
+    // Synchronous, so an open preview is undone before the plugin stops
+    try {
+        revertActivePreview();
+    }
+    catch (error) {
+        console.log('❌ Failed to revert preview on close:', error.message);
+    }
+    if (activeAnalysis) {
+        requestServerCancel(activeAnalysis);
+    }
 });
 // Initialize plugin
 console.log('CXS AI Chat Request plugin loaded');
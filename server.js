@@ -2,15 +2,20 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 
-// Import your existing function logic
-const { 
-    callAzureAIFoundryAgent, 
-    callAzureAIFoundryViaOpenAI,
-    getAzureAccessToken,
-    generateMockAIResponse, 
-    parseColorValueForFigma, 
-    parseNumericValueFromAI 
-} = require('./api/server-utils');
+// Shared, framework-neutral handlers - the Azure Functions app wraps the same ones
+const {
+    handleHealth,
+    handleAnalyze,
+    handleAnalyzeFoundry,
+    handleAnalyzeStream,
+    handleAnalyzeFoundryStream,
+    wantsAnalysisStream,
+    NDJSON_CONTENT_TYPE,
+    handleListProviders,
+    handleListThreads,
+    handleDeleteThread,
+    handleCancelAnalysis
+} = require('./api/handlers');
 
 const app = express();
 const PORT = process.env.PORT || 80;
@@ -19,227 +24,110 @@ const PORT = process.env.PORT || 80;
 app.use(cors({
     origin: '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+    // No allowedHeaders list: preflights get back the headers they ask for, so custom auth and extra headers work
     credentials: false
 }));
 
 app.use(express.json());
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        message: 'CXS AI Chat Request API is running',
-        timestamp: new Date().toISOString() 
-    });
-});
+// Send a handler's { status, body } result through Express
+function sendResult(res, result) {
+    res.status(result.status).json(result.body);
+}
 
-// Azure AI Foundry endpoint
-app.post('/api/analyze-foundry', async (req, res) => {
-    console.log('Azure AI Foundry endpoint called');
-    
-    try {
-        const { elements: directElements, type, data } = req.body;
-        const elements = directElements || data?.elements || [];
-        
-        if (!elements || !Array.isArray(elements)) {
-            return res.status(400).json({ 
-                error: 'Invalid request: elements array is required',
-                received: {
-                    elementsType: typeof elements,
-                    elementsLength: elements?.length,
-                    bodyKeys: Object.keys(req.body)
-                }
-            });
+// A route threw: answer with a 500 while nothing has been sent yet, otherwise end the NDJSON stream
+// with an error event so the client is not left waiting on an open response
+function sendRouteError(res, label, error) {
+    console.error(`❌ ${label} failed:`, error);
+    if (res.writableEnded || res.destroyed) return;
+    if (!res.headersSent) {
+        sendResult(res, { status: 500, body: { success: false, error: error.message || 'Internal server error' } });
+        return;
+    }
+    res.write(JSON.stringify({ type: 'error', error: error.message || 'Internal server error' }) + '\n');
+    res.end();
+}
+
+// Write a streaming handler's events as NDJSON, one line each, as they happen
+async function sendStream(res, streamHandler, body, signal) {
+    res.status(200);
+    res.setHeader('Content-Type', NDJSON_CONTENT_TYPE);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no'); // keep proxies from holding events back
+    res.flushHeaders();
+    await streamHandler(body, console.log, event => {
+        if (!res.writableEnded && !res.destroyed) {
+            res.write(JSON.stringify(event) + '\n');
         }
+    }, signal);
+    res.end();
+}
+
+// Analyze routes answer with an NDJSON event stream when the client accepts one, and stop calling
+// the AI providers when the client goes away before the answer is sent
+function analysisRoute(label, handler, streamHandler) {
+    return async (req, res) => {
+        console.log(`${label} endpoint called`);
+        const disconnected = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) disconnected.abort();
+        });
 
-        // Configuration for Azure AI Foundry
-        const PROJECT_ENDPOINT = process.env.AZURE_AI_PROJECT_ENDPOINT;
-        const AGENT_ID = process.env.AZURE_AI_AGENT_ID;
-        const TENANT_ID = process.env.AZURE_TENANT_ID;
-        const CLIENT_ID = process.env.AZURE_CLIENT_ID;
-        const CLIENT_SECRET = process.env.AZURE_CLIENT_SECRET;
-        
-        let aiResponse;
-        
-        if (PROJECT_ENDPOINT && AGENT_ID && TENANT_ID && CLIENT_ID && CLIENT_SECRET) {
-            try {
-                console.log('Getting Azure access token...');
-                const accessToken = await getAzureAccessToken(TENANT_ID, CLIENT_ID, CLIENT_SECRET);
-                console.log('Calling Azure AI Foundry agent...');
-                const rawResponse = await callAzureAIFoundryAgent(elements, PROJECT_ENDPOINT, AGENT_ID, accessToken);
-                aiResponse = parseFoundryAgentResponse(rawResponse, elements);
-                console.log('Azure AI Foundry response processed successfully');
-            } catch (aiError) {
-                console.log(`Azure AI Foundry failed: ${aiError.message}, using mock fallback`);
-                aiResponse = generateMockAIResponse(elements);
+        try {
+            if (wantsAnalysisStream(req.headers)) {
+                await sendStream(res, streamHandler, req.body, disconnected.signal);
+            } else {
+                sendResult(res, await handler(req.body, console.log, disconnected.signal));
             }
-        } else {
-            console.log('Azure AI Foundry not configured, using mock response');
-            aiResponse = generateMockAIResponse(elements);
+        } catch (error) {
+            sendRouteError(res, label, error);
         }
+    };
+}
 
-        // Process suggestions
-        const enhancedSuggestions = aiResponse.suggestions.map((suggestion, index) => {
-            let matchingElement = elements[index % elements.length];
-            
-            if (suggestion.type === 'color') {
-                const colorValue = parseColorValueForFigma(suggestion.suggestedValue);
-                return {
-                    ...suggestion,
-                    elementId: matchingElement?.id,
-                    suggestedValue: colorValue || suggestion.suggestedValue
-                };
-            }
-            
-            if (suggestion.type === 'size') {
-                const sizeValue = parseNumericValueFromAI(suggestion.suggestedValue);
-                return {
-                    ...suggestion,
-                    elementId: matchingElement?.id,
-                    suggestedValue: sizeValue || suggestion.suggestedValue
-                };
-            }
-            
-            return {
-                ...suggestion,
-                elementId: matchingElement?.id
-            };
-        }).filter(suggestion => suggestion !== null);
-
-        res.json({
-            success: true,
-            suggestions: enhancedSuggestions,
-            source: 'Azure AI Foundry Agent (ACI)'
-        });
-        
-    } catch (error) {
-        console.error('Azure AI Foundry analysis error:', error);
-        res.json({
-            success: true,
-            suggestions: generateMockAIResponse([]).suggestions || [],
-            message: 'Using fallback analysis due to error',
-            source: 'Mock Fallback (ACI)'
-        });
-    }
+// Health check endpoint
+app.get(['/health', '/api/health'], (req, res) => {
+    sendResult(res, handleHealth());
 });
 
-// Azure OpenAI endpoint
-app.post('/api/analyze-anonymous', async (req, res) => {
-    console.log('Azure OpenAI endpoint called');
-    
-    try {
-        const { elements: directElements, type, data } = req.body;
-        const elements = directElements || data?.elements || [];
-        
-        if (!elements || !Array.isArray(elements)) {
-            return res.status(400).json({ 
-                error: 'Invalid request: elements array is required'
-            });
-        }
+// Registered AI providers and which ones are configured
+app.get('/api/providers', (req, res) => {
+    sendResult(res, handleListProviders());
+});
 
-        // For now, use mock response (can add real Azure OpenAI later)
-        const aiResponse = generateMockAIResponse(elements);
-
-        res.json({
-            success: true,
-            suggestions: aiResponse.suggestions,
-            metadata: {
-                elementsAnalyzed: elements.length,
-                analysisType: type || 'design-analysis',
-                timestamp: new Date().toISOString(),
-                source: 'Azure OpenAI (ACI)'
-            }
-        });
-        
+// Azure AI Foundry endpoint
+app.post('/api/analyze-foundry', analysisRoute('Azure AI Foundry', handleAnalyzeFoundry, handleAnalyzeFoundryStream));
+
+// Foundry agent conversation threads
+app.get('/api/threads', async (req, res) => {
+    try {
+        sendResult(res, await handleListThreads(req.query));
     } catch (error) {
-        console.error('Azure OpenAI analysis error:', error);
-        res.json({
-            success: false,
-            error: error.message,
-            suggestions: [],
-            metadata: {
-                fallback: true,
-                timestamp: new Date().toISOString()
-            }
-        });
+        sendRouteError(res, 'Thread listing', error);
     }
 });
 
-// Parse Azure AI Foundry agent response (copy from existing function)
-function parseFoundryAgentResponse(foundryResponse, elements) {
+app.delete('/api/threads/:threadId', async (req, res) => {
     try {
-        // If already in the right format, return as-is
-        if (foundryResponse.suggestions && Array.isArray(foundryResponse.suggestions)) {
-            return foundryResponse;
-        }
-        
-        const message = foundryResponse.message || foundryResponse;
-        console.log('Parsing Foundry agent response:', message.substring(0, 300));
-        
-        // Check if the response is a polite refusal
-        if (message.toLowerCase().includes('cannot assist') || 
-            message.toLowerCase().includes('sorry') ||
-            message.toLowerCase().includes('unable to')) {
-            console.log('Agent declined to help, using mock response instead');
-            return generateMockAIResponse(elements);
-        }
-        
-        const suggestions = [];
-        
-        // Try to extract useful suggestions from the response
-        if (elements.length > 0 && message.length > 50) {
-            // Look for color-related suggestions
-            if (message.toLowerCase().includes('color')) {
-                suggestions.push({
-                    type: 'color',
-                    elementId: elements[0].id,
-                    property: 'fill',
-                    currentValue: 'Current color',
-                    suggestedValue: { r: 0.2, g: 0.6, b: 0.8 }, // Nice blue
-                    confidence: 0.7,
-                    reasoning: 'AI suggested improving color harmony - ' + message.substring(0, 150) + '...'
-                });
-            }
-            
-            // Look for size-related suggestions
-            if (message.toLowerCase().includes('size') || message.toLowerCase().includes('larger') || message.toLowerCase().includes('smaller')) {
-                suggestions.push({
-                    type: 'size',
-                    elementId: elements[Math.min(1, elements.length-1)].id,
-                    property: 'width',
-                    currentValue: elements[Math.min(1, elements.length-1)].width,
-                    suggestedValue: Math.round(elements[Math.min(1, elements.length-1)].width * 1.2),
-                    confidence: 0.6,
-                    reasoning: 'AI suggested size improvements - ' + message.substring(0, 150) + '...'
-                });
-            }
-            
-            // If no specific suggestions found, create a general one
-            if (suggestions.length === 0) {
-                suggestions.push({
-                    type: 'general',
-                    elementId: elements[0].id,
-                    property: 'analysis',
-                    currentValue: 'Current design',
-                    suggestedValue: 'AI analysis complete',
-                    confidence: 0.8,
-                    reasoning: message.substring(0, 200) + '...'
-                });
-            }
-        }
-        
-        return { suggestions };
-        
-    } catch (parseError) {
-        console.error('Error parsing Foundry response:', parseError);
-        return generateMockAIResponse(elements);
+        sendResult(res, await handleDeleteThread(req.params.threadId, req.query));
+    } catch (error) {
+        sendRouteError(res, 'Thread deletion', error);
     }
-}
+});
+
+// Cancel a running analysis by the requestId it was started with
+app.delete('/api/analyses/:requestId', (req, res) => {
+    sendResult(res, handleCancelAnalysis(req.params.requestId));
+});
+
+// Azure OpenAI endpoints
+app.post(['/api/analyze-anonymous', '/api/analyze'], analysisRoute('Azure OpenAI', handleAnalyze, handleAnalyzeStream));
 
 app.listen(PORT, () => {
     console.log(`🚀 Figma Plugin API running on port ${PORT}`);
     console.log(`📍 Health check: http://localhost:${PORT}/health`);
     console.log(`🤖 Azure AI Foundry: http://localhost:${PORT}/api/analyze-foundry`);
     console.log(`🧠 Azure OpenAI: http://localhost:${PORT}/api/analyze-anonymous`);
+    console.log(`🔌 Providers: http://localhost:${PORT}/api/providers`);
+    console.log(`💬 Conversation threads: http://localhost:${PORT}/api/threads`);
 });
\ No newline at end of file
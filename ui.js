@@ -104,7 +104,7 @@ function setupEventListeners() {
     analyzeBtn.addEventListener('click', () => {
         showDebugMessage('Analyze button clicked');
         parent.postMessage({
-            pluginMessage: { type: 'analyze-selection' }
+            pluginMessage: { type: 'analyze-selection', analysisType: analysisTypeSelect.value }
         }, '*');
     });
     // Debug button with extra logging
@@ -278,7 +278,7 @@ function handleSuggestionApplied(suggestion) {
     // Refresh suggestions by re-analyzing
     setTimeout(() => {
         parent.postMessage({
-            pluginMessage: { type: 'analyze-selection' }
+            pluginMessage: { type: 'analyze-selection', analysisType: analysisTypeSelect.value }
         }, '*');
     }, 1000);
 }
@@ -123,7 +123,7 @@ function setupEventListeners() {
   analyzeBtn.addEventListener('click', () => {
     showDebugMessage('Analyze button clicked');
     parent.postMessage({ 
-      pluginMessage: { type: 'analyze-selection' } 
+      pluginMessage: { type: 'analyze-selection', analysisType: analysisTypeSelect.value } 
     }, '*');
   });
 
@@ -331,7 +331,7 @@ function handleSuggestionApplied(suggestion: any) {
   // Refresh suggestions by re-analyzing
   setTimeout(() => {
     parent.postMessage({ 
-      pluginMessage: { type: 'analyze-selection' } 
+      pluginMessage: { type: 'analyze-selection', analysisType: analysisTypeSelect.value } 
     }, '*');
   }, 1000);
 }